@@ -1 +1,2 @@
-class v extends HTMLElement{constructor(){super(),this.variantChangeUnsubscriber=null,this.optionChangeUnsubscriber=null}connectedCallback(){this.setupVariantChangeListener()}disconnectedCallback(){this.variantChangeUnsubscriber&&(this.variantChangeUnsubscriber(),this.variantChangeUnsubscriber=null),this.optionChangeUnsubscriber&&(this.optionChangeUnsubscriber(),this.optionChangeUnsubscriber=null)}setupVariantChangeListener(){var t,e,r,n;(e=(t=window.theme)==null?void 0:t.PUB_SUB_EVENTS)!=null&&e.variantChange&&window.subscribe&&(this.variantChangeUnsubscriber=window.subscribe(window.theme.PUB_SUB_EVENTS.variantChange,this.handleVariantChange.bind(this))),(n=(r=window.theme)==null?void 0:r.PUB_SUB_EVENTS)!=null&&n.optionValueSelectionChange&&window.subscribe&&(this.optionChangeUnsubscriber=window.subscribe(window.theme.PUB_SUB_EVENTS.optionValueSelectionChange,()=>{setTimeout(()=>this.updateVariantTitle(),200)})),setTimeout(()=>this.updateVariantTitle(),100)}handleVariantChange(t){var e;(e=t==null?void 0:t.detail)!=null&&e.variant?this.updateVariantTitleFromVariant(t.detail.variant):this.updateVariantTitle()}updateVariantTitle(){const t=document.querySelector("variant-selects");let e=null;if(t&&(e=t.querySelector("[data-selected-variant]")),!e){const r=document.querySelector("product-form");r&&(e=r.querySelector("[data-selected-variant]"))}e&&this.parseAndUpdateVariant(e)}parseAndUpdateVariant(t){try{const e=JSON.parse(t.textContent);e&&e.title&&this.updateVariantTitleFromVariant(e)}catch(e){console.warn("Failed to parse variant data:",e)}}updateVariantTitleFromVariant(t){const e=t.title||"";document.querySelectorAll('#pattern_product, input[name="pattern_needles"], input[name="pattern_needles[]"]').forEach(n=>{n.setAttribute("data-current-variant-title",e),this.updatePatternProductCount(n),n.checked&&n.dispatchEvent(new Event("change",{bubbles:!0}))})}updatePatternProductCount(t){const e=t.dataset.additionalProductCountForVariant;if(!e)return;const r=t.dataset.currentVariantTitle||"";let n=1;try{const i=JSON.parse(e);i&&r&&i[r]&&(n=parseInt(i[r],10)||1)}catch(i){console.warn("Failed to parse size count data:",i);return}const a=t.closest("label");if(a){const i=a.querySelector("[data-additional-product-count]");i&&(i.textContent=n)}}}class k extends HTMLElement{constructor(){super(),this.checkboxes=new Map,this.patternProductCheckbox=null,this.currentVariantPrice=0}connectedCallback(){this.init()}disconnectedCallback(){this.removeEventListeners()}init(){if(this.updateCurrentVariantPrice(),this.patternProductCheckbox=this.querySelector("#pattern_product"),!this.patternProductCheckbox){const r=document.querySelectorAll("product-form-checkboxes");for(const n of r){const a=n.querySelector("#pattern_product");if(a){this.patternProductCheckbox=a;break}}}this.patternProductCheckbox&&(this.setupPatternProductCheckbox(),this.updateInitialCount());let t=Array.from(this.querySelectorAll('input[name="pattern_needles"], input[name="pattern_needles[]"]'));const e=document.querySelectorAll("product-form-checkboxes");for(const r of e)if(r!==this){const n=r.querySelectorAll('input[name="pattern_needles"], input[name="pattern_needles[]"]');t=t.concat(Array.from(n))}this.patternNeedleCheckboxes=t.length>0?t:null,this.patternNeedleCheckboxes&&this.patternNeedleCheckboxes.length>0&&this.setupPatternNeedleCheckboxes(),this.setupGenericCheckboxListeners(),this.setupFormSubmit(),this.setupVariantPriceListener()}setupVariantPriceListener(){var t,e,r,n;(e=(t=window.theme)==null?void 0:t.PUB_SUB_EVENTS)!=null&&e.variantChange&&window.subscribe&&(this.variantChangeUnsubscriber=window.subscribe(window.theme.PUB_SUB_EVENTS.variantChange,()=>{this.updateCurrentVariantPrice(),this.recalculateTotalPrice()})),(n=(r=window.theme)==null?void 0:r.PUB_SUB_EVENTS)!=null&&n.optionValueSelectionChange&&window.subscribe&&(this.optionChangeUnsubscriber=window.subscribe(window.theme.PUB_SUB_EVENTS.optionValueSelectionChange,()=>{setTimeout(()=>{this.updateCurrentVariantPrice(),this.recalculateTotalPrice()},200)}))}updateCurrentVariantPrice(){const t=document.querySelector("variant-selects");let e=null;if(t&&(e=t.querySelector("[data-selected-variant]")),!e){const r=document.querySelector("product-form");r&&(e=r.querySelector("[data-selected-variant]"))}if(e)try{const r=JSON.parse(e.textContent);r&&r.price&&(this.currentVariantPrice=parseInt(r.price,10)||0)}catch(r){console.warn("Failed to parse variant price:",r),this.patternProductCheckbox&&(this.currentVariantPrice=parseFloat(this.patternProductCheckbox.dataset.mainProductPrice||0))}else this.patternProductCheckbox&&(this.currentVariantPrice=parseFloat(this.patternProductCheckbox.dataset.mainProductPrice||0))}setupFormSubmit(){const t=this.closest("form")||document.querySelector('form[action*="/cart/add"]');t&&(this.form=t,this.boundHandleFormSubmit=this.handleFormSubmit.bind(this),t.addEventListener("submit",this.boundHandleFormSubmit,!0))}handleFormSubmit(t){var P,S,w,g;const e=this.patternProductCheckbox&&this.patternProductCheckbox.checked,r=Array.from(this.patternNeedleCheckboxes||[]).some(c=>c.checked);if(!e&&!r)return;t.preventDefault(),t.stopPropagation(),t.stopImmediatePropagation();const n=t.target,a=n.querySelector('[type="submit"]');a&&(a.disabled=!0,a.classList.add("loading"));const i=n.querySelector('input[name="section-id"]'),o=i?i.value:null,d=n.querySelector('input[name="id"]'),s=n.querySelector('input[name="quantity"]');if(!d){console.error("Variant ID not found"),this.enableSubmitButton(a);return}const l=parseInt(d.value,10),V=s&&parseInt(s.value,10)||1,h=[];if(this.patternNeedleCheckboxes&&this.patternNeedleCheckboxes.length>0&&Array.from(this.patternNeedleCheckboxes).forEach(c=>{if(c.checked){const u=this.buildPatternProductItem(c);u?(h.push(u),console.log("Added needle product to cart items:",u)):console.warn("Failed to build item for needle checkbox:",c)}}),this.patternProductCheckbox&&this.patternProductCheckbox.checked){const c=this.buildPatternProductItem(this.patternProductCheckbox);if(c)h.push(c);else{this.enableSubmitButton(a),this.handleAddToCartError(new Error("Pattern product variant not available. Please try again."));return}}if(h.push({id:l,quantity:V}),!h||h.length===0){console.error("No items to add to cart"),this.enableSubmitButton(a);return}const f=h.filter(c=>!c.id||isNaN(c.id)||c.quantity<=0);if(f.length>0){console.error("Invalid items:",f),this.enableSubmitButton(a);return}const b={items:h};o?b.sections_url=`/cart?section_id=cart-drawer&section_id=${encodeURIComponent(o)}`:b.sections_url="/cart?section_id=cart-drawer";const m=((S=(P=window.theme)==null?void 0:P.routes)==null?void 0:S.root)||((g=(w=window.theme)==null?void 0:w.routes)==null?void 0:g.shop_url)||"/",E=`${m.endsWith("/")?m:`${m}/`}cart/add.js`;fetch(E,{method:"POST",headers:{"Content-Type":"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify(b)}).then(c=>c.json().then(u=>{if(!c.ok){const x=u.description||u.message||u.error||"Failed to add to cart",C=new Error(x);throw C.response=u,C.status=c.status,C}return u})).then(c=>{this.handleAddToCartSuccess(c,b)}).catch(c=>{console.error("Error adding to cart:",c),this.handleAddToCartError(c)}).finally(()=>{this.enableSubmitButton(a)})}handleAddToCartSuccess(t,e){const r=document.querySelector("cart-element");r&&typeof r.getCart=="function"?r.getCart():(document.dispatchEvent(new CustomEvent("theme:cart:refresh",{bubbles:!0})),t.sections?this.updateCartSections(t.sections):e.sections_url&&this.fetchCartSections(e.sections_url)),document.dispatchEvent(new CustomEvent("theme:cart:add",{detail:{items:t.items||[],cart:t},bubbles:!0}))}handleAddToCartError(t){var r;const e=(r=this.form)==null?void 0:r.querySelector("[data-cart-errors-container]");e&&(e.textContent=t.message||"Failed to add product to cart",e.setAttribute("role","alert"),e.classList.remove("hidden")),document.dispatchEvent(new CustomEvent("theme:cart:add:error",{detail:{error:t},bubbles:!0}))}updateCartSections(t){if(t["cart-drawer"]){const e=document.querySelector("cart-drawer");e&&(e.innerHTML=t["cart-drawer"])}if(t["cart-icon-bubble"]){const e=document.querySelector("[data-cart-icon-bubble]");e&&(e.outerHTML=t["cart-icon-bubble"])}}fetchCartSections(t){fetch(t).then(e=>e.text()).then(e=>{const n=new DOMParser().parseFromString(e,"text/html"),a=n.querySelector("cart-drawer");if(a){const o=document.querySelector("cart-drawer");o&&(o.innerHTML=a.innerHTML)}const i=n.querySelector("[data-cart-icon-bubble]");if(i){const o=document.querySelector("[data-cart-icon-bubble]");o&&(o.outerHTML=i.outerHTML)}}).catch(e=>{console.error("Error fetching cart sections:",e)})}enableSubmitButton(t){t&&(t.disabled=!1,t.classList.remove("loading"))}updateInitialCount(){this.patternProductCheckbox&&this.updateInitialCountForCheckbox(this.patternProductCheckbox)}updateInitialCountForCheckbox(t){if(!t)return;const e=t.dataset.additionalProductCountForVariant;if(!e)return;const r=t.dataset.currentVariantTitle||"";let n=1;try{const i=JSON.parse(e);i&&r&&i[r]&&(n=parseInt(i[r],10)||1)}catch(i){console.warn("Failed to parse size count data:",i);return}if(t.closest("product-form-checkboxes")){const i=t.closest("label");if(i){const o=i.querySelector("[data-additional-product-count]");o&&(o.textContent=n)}}}setupPatternProductCheckbox(){this.patternProductCheckbox.addEventListener("change",t=>{this.handlePatternProductChange(t)}),this.checkboxes.set("pattern_product",this.patternProductCheckbox)}setupPatternNeedleCheckboxes(){this.patternNeedleCheckboxes.forEach(t=>{t.addEventListener("change",r=>{this.handlePatternProductChange(r)});const e=t.id||t.name||`pattern_needle_${this.checkboxes.size}`;this.checkboxes.set(e,t),this.updateInitialCountForCheckbox(t)})}handlePatternProductChange(t){const e=t.target,r=e.checked;this.recalculateTotalPrice(),this.updateInitialCountForCheckbox(e);const n=parseFloat(e.dataset.additionalProductPrice||0),a=e.dataset.additionalProductId,i=e.dataset.additionalProductFormattedPrice||"",o=e.dataset.currentVariantTitle||"",d=e.dataset.additionalProductCountForVariant;let s=1;if(d)try{const l=JSON.parse(d);l&&o&&l[o]&&(s=parseInt(l[o],10)||1)}catch(l){console.warn("Failed to parse size count data:",l)}this.updateCurrentVariantPrice(),this.dispatchPatternProductChangeEvent({isChecked:r,mainProductPrice:this.currentVariantPrice,patternProductPrice:n*s,patternProductPriceBase:n,countMultiplier:s,totalPrice:this.getCalculatedTotalPrice(),patternProductId:a,formattedPrice:i,currentVariantTitle:o}),this.updateFormData(r,a)}recalculateTotalPrice(){var n;this.updateCurrentVariantPrice();const t=this.currentVariantPrice;let e=0;if((n=this.patternProductCheckbox)!=null&&n.checked){const a=this.getCheckboxPrice(this.patternProductCheckbox);e+=a}this.patternNeedleCheckboxes&&this.patternNeedleCheckboxes.length>0&&Array.from(this.patternNeedleCheckboxes).forEach(a=>{if(a.checked){const i=this.getCheckboxPrice(a);e+=i}});const r=t+e;this.updatePriceDisplay(r,e>0,"")}getCheckboxPrice(t){const e=parseFloat(t.dataset.additionalProductPrice||0),r=t.dataset.additionalProductCountForVariant;let n=1;if(r){const a=t.dataset.currentVariantTitle||"";try{const i=JSON.parse(r);i&&a&&i[a]&&(n=parseInt(i[a],10)||1)}catch(i){console.warn("Failed to parse size count data:",i)}}return e*n}getCalculatedTotalPrice(){var r;this.updateCurrentVariantPrice();const t=this.currentVariantPrice;let e=0;return(r=this.patternProductCheckbox)!=null&&r.checked&&(e+=this.getCheckboxPrice(this.patternProductCheckbox)),this.patternNeedleCheckboxes&&this.patternNeedleCheckboxes.length>0&&Array.from(this.patternNeedleCheckboxes).forEach(n=>{n.checked&&(e+=this.getCheckboxPrice(n))}),t+e}dispatchPatternProductChangeEvent(t){const e=new CustomEvent("product:pattern:change",{detail:t,bubbles:!0,cancelable:!0});this.dispatchEvent(e),document.dispatchEvent(e)}updatePriceDisplay(t,e,r){const n=this.formatPrice(t);if(!n){console.warn("Could not format price:",t);return}let a=document.querySelectorAll("[data-add-to-cart] [data-product-price]");if(a.length===0){const i=document.querySelector("[data-add-to-cart]");if(i){const o=i.querySelector("[data-product-price]");o&&(a=[o])}}a.length===0&&(a=document.querySelectorAll("[data-add-to-cart] .product__price--regular")),a.length>0?a.forEach(i=>{i.textContent=n,e?i.classList.add("price--with-pattern-product"):i.classList.remove("price--with-pattern-product")}):console.warn("Price element not found. Selectors tried:",["[data-add-to-cart] [data-product-price]","[data-add-to-cart] .product__price--regular"])}formatPrice(t){var r,n,a,i;return window.Shopify&&window.Shopify.formatMoney?window.Shopify.formatMoney(t,((r=window.theme)==null?void 0:r.moneyFormat)||((n=window.theme)==null?void 0:n.moneyWithCurrencyFormat)):window.theme&&window.theme.formatMoney?window.theme.formatMoney(t,((a=window.theme)==null?void 0:a.moneyFormat)||((i=window.theme)==null?void 0:i.moneyWithCurrencyFormat)):`$${(t/100).toFixed(2)}`}updateFormData(t,e){const r=this.closest("form")||document.querySelector('form[action*="/cart/add"]');if(!r)return;let n=r.querySelector('[name="pattern_product_id"]');t&&e?(n||(n=document.createElement("input"),n.type="hidden",n.name="pattern_product_id",r.appendChild(n)),n.value=e):n&&n.remove()}buildPatternProductItem(t){const e=t.dataset.additionalProductVariantId,r=t.dataset.currentVariantTitle||"",n=t.dataset.additionalProductCountForVariant;let a=1;if(n)try{const i=JSON.parse(n);i&&r&&i[r]&&(a=parseInt(i[r],10)||1)}catch(i){console.warn("Failed to parse size count data:",i)}if(e){const i=parseInt(e,10);return isNaN(i)?(console.error("Invalid additional product variant ID:",e),null):{id:i,quantity:a}}else return console.error("Additional product variant ID not found"),null}setupGenericCheckboxListeners(){this.querySelectorAll('input[type="checkbox"]').forEach(e=>{if(e.id==="pattern_product"||e.name==="pattern_needles"||e.name==="pattern_needles[]")return;e.addEventListener("change",n=>{this.handleGenericCheckboxChange(n)});const r=e.name||e.id||`checkbox-${this.checkboxes.size}`;this.checkboxes.set(r,e)})}handleGenericCheckboxChange(t){const e=t.target,r=e.checked,n=e.name||e.id,a=new CustomEvent("product:checkbox:change",{detail:{name:n,isChecked:r,value:e.value,checkbox:e},bubbles:!0,cancelable:!0});this.dispatchEvent(a),document.dispatchEvent(a)}removeEventListeners(){this.form&&this.boundHandleFormSubmit&&this.form.removeEventListener("submit",this.boundHandleFormSubmit),this.variantChangeUnsubscriber&&(this.variantChangeUnsubscriber(),this.variantChangeUnsubscriber=null),this.optionChangeUnsubscriber&&(this.optionChangeUnsubscriber(),this.optionChangeUnsubscriber=null),this.checkboxes.forEach(t=>{var r;const e=t.cloneNode(!0);(r=t.parentNode)==null||r.replaceChild(e,t)}),this.checkboxes.clear(),this.patternProductCheckbox=null,this.form=null,this.boundHandleFormSubmit=null}getCheckboxState(t){const e=this.checkboxes.get(t)||this.querySelector(`#${t}, [name="${t}"]`);return e?e.checked:null}setCheckboxState(t,e){const r=this.checkboxes.get(t)||this.querySelector(`#${t}, [name="${t}"]`);r&&(r.checked=e,r.dispatchEvent(new Event("change",{bubbles:!0})))}}customElements.get("product-form-checkboxes")||customElements.define("product-form-checkboxes",k);customElements.get("variant-change-listener")||customElements.define("variant-change-listener",v);function y(){const p=setInterval(()=>{const t=customElements.get("variant-selects");if(t){clearInterval(p);const e=t.prototype.connectedCallback,r=t.prototype.disconnectedCallback;t.prototype.connectedCallback=function(){e&&e.call(this),this.setupVariantTitleUpdate()},t.prototype.disconnectedCallback=function(){this.variantTitleUpdateUnsubscriber&&(this.variantTitleUpdateUnsubscriber(),this.variantTitleUpdateUnsubscriber=null),this.optionChangeUnsubscriber&&(this.optionChangeUnsubscriber(),this.optionChangeUnsubscriber=null),r&&r.call(this)},t.prototype.setupVariantTitleUpdate=function(){var n,a;(a=(n=window.theme)==null?void 0:n.PUB_SUB_EVENTS)!=null&&a.optionValueSelectionChange&&window.subscribe&&(this.optionChangeUnsubscriber=window.subscribe(window.theme.PUB_SUB_EVENTS.optionValueSelectionChange,()=>{setTimeout(()=>this.updateVariantTitle(),200)})),setTimeout(()=>this.updateVariantTitle(),100)},t.prototype.updateVariantTitle=function(){const n=this.querySelector("[data-selected-variant]");if(n)try{const a=JSON.parse(n.textContent);if(a&&a.title){const i=a.title||"";document.querySelectorAll('#pattern_product, input[name="pattern_needles"], input[name="pattern_needles[]"]').forEach(d=>{d.setAttribute("data-current-variant-title",i),this.updatePatternProductCount(d),d.checked&&d.dispatchEvent(new Event("change",{bubbles:!0}))})}}catch(a){console.warn("Failed to parse variant data:",a)}},t.prototype.updatePatternProductCount=function(n){const a=n.dataset.additionalProductCountForVariant;if(!a)return;const i=n.dataset.currentVariantTitle||"";let o=1;try{const s=JSON.parse(a);s&&i&&s[i]&&(o=parseInt(s[i],10)||1)}catch(s){console.warn("Failed to parse size count data:",s);return}const d=n.closest("label");if(d){const s=d.querySelector("[data-additional-product-count]");s&&(s.textContent=o)}}}},100);setTimeout(()=>clearInterval(p),5e3)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",y):y();typeof window<"u"&&(window.PatternProductForm=k,window.VariantChangeListener=v);
+function T(n){var i,r;const t=((i=window.theme)==null?void 0:i.moneyFormat)||((r=window.theme)==null?void 0:r.moneyWithCurrencyFormat);return window.Shopify&&window.Shopify.formatMoney?window.Shopify.formatMoney(n,t):window.theme&&window.theme.formatMoney?window.theme.formatMoney(n,t):`$${(n/100).toFixed(2)}`}function p(n,t={}){return n?n.replace(/{{\s*(\w+)\s*}}/g,(e,i)=>t[i]!==void 0&&t[i]!==null?String(t[i]):e):""}function pt({meters:n,metersPerSkein:t,margin:e=0,patternGauge:i=0,yarnGauge:r=0}){const s=parseFloat(n)||0,a=parseFloat(t)||0;if(s<=0||a<=0)return null;const o=i>0&&r>0?r/i:1,c=s*o,u=Math.max(parseFloat(e)||0,0),d=Math.ceil(c*(1+u/100));return{meters:s,gaugeRatio:o,adjustedMeters:Math.ceil(c),margin:u,totalMeters:d,metersPerSkein:a,skeins:Math.max(Math.ceil(d/a),1)}}const ft=1,mt={history:!1,focus:!1,mainClass:"pswp--notification pswp--not-close-btn",closeOnVerticalDrag:!1};function gt(n,t=null){var a;const e=n.getAttribute("data-handle"),i=n.getAttribute("data-variant-id");(a=window.theme)!=null&&a.a11y&&(window.theme.a11y.state.trigger=n);const r=i?`&variant=${i}`:"",s=`${window.theme.routes.root}products/${e}?section_id=api-notification${r}`;return fetch(s).then(o=>o.text()).then(o=>{const c=document.createElement("div");c.innerHTML=o,t&&t(c),new window.theme.LoadPhotoswipe([{html:c.innerHTML}],mt,ft)}).catch(o=>console.log("error: ",o))}const M="product-state-change",A=new WeakMap;var Y;(Y=window.theme)!=null&&Y.PUB_SUB_EVENTS&&(window.theme.PUB_SUB_EVENTS.productStateChange=M);function P(n){return n.closest("product-info")||n.closest("product-form")||document.documentElement}function yt(n){return A.get(n)}function St(n,t){const e=A.get(n),i={scope:n,variant:null,selectedOptionValues:[],...e,...t};return A.set(n,i),e&&bt(e.variant,i.variant)||window.publish&&window.publish(M,{data:i}),i}function X(n,t){const e=A.get(n);return e&&t(e),window.subscribe?window.subscribe(M,({data:i})=>{i.scope===n&&t(i)}):()=>{}}function bt(n,t){return!n||!t?n===t:n.id===t.id&&n.price===t.price&&n.available===t.available}function q(n){const t=parseInt(n.getAttribute("min")??n.dataset.min,10),e=parseInt(n.getAttribute("max")??n.dataset.max,10),i=parseInt(n.getAttribute("step"),10);return{min:t>0?t:1,max:e>0?e:null,step:i>0?i:1}}function B(n,t,e=!1){var r;const i=((r=window.theme)==null?void 0:r.strings)||{};return e&&n===0?"":n<t.min?p(i.quantity_minimum_of,{quantity:t.min}):t.max!==null&&n>t.max?p(i.quantity_maximum_of,{quantity:t.max}):n%t.step!==0?p(i.quantity_multiples_of,{quantity:t.step}):""}function D(n){var i,r;const t=n==null?void 0:n.elements.namedItem("quantity");if(!(t instanceof HTMLInputElement)||!t.matches("[data-quantity-field]"))return"";const e=B(parseInt(t.value,10)||0,q(t));return(r=(i=t.closest("quantity-counter"))==null?void 0:i.showQuantityRuleError)==null||r.call(i,e),e&&t.focus(),e}function wt(){window.addEventListener("theme:cart:add",n=>{var e,i;const t=(i=(e=n.detail)==null?void 0:e.button)==null?void 0:i.closest("form");D(t)&&n.stopImmediatePropagation()},!0)}function x(n){document.querySelectorAll("quantity-counter").forEach(t=>{Object.prototype.hasOwnProperty.call(t,n)&&(t[n]=t.constructor.prototype[n].bind(t))})}function vt(){wt(),customElements.whenDefined("quantity-counter").then(()=>{const n=customElements.get("quantity-counter"),t=n.prototype.updateQuantity;n.prototype.increase=function(){const{min:e,step:i}=q(this.field),r=parseInt(this.quantityValue,10)||0;this.quantityValue=Math.max((Math.floor(r/i)+1)*i,e)},n.prototype.decrease=function(){const{min:e,step:i}=q(this.field),r=parseInt(this.quantityValue,10)||0,s=(Math.ceil(r/i)-1)*i;s>=e?this.quantityValue=s:this.quantityValue=this.cartItem?0:e},n.prototype.updateQuantity=function(){const e=parseInt(this.quantityValue,10),i=Number.isNaN(e)?"":B(e,q(this.field),!!this.cartItem);if(this.showQuantityRuleError(i),i){this.field.value=this.quantityValue;return}t.call(this)},n.prototype.showQuantityRuleError=function(e){var r,s,a;const i=((r=this.closest("[data-cart-item]"))==null?void 0:r.querySelector("[data-item-error]"))||((s=this.closest("[data-quantity-wrapper]"))==null?void 0:s.querySelector("[data-quantity-rule-error]"));(a=this.field)==null||a.setCustomValidity(e),i&&(e&&(i.textContent=e),i.hidden=!e)},x("increase"),x("decrease"),x("updateQuantity")})}const Ct=["yarn","needles"];class Z extends HTMLElement{constructor(){super(),this.components=[],this.pattern={},this.inputs=new Map,this.variantInputs=[],this.currentVariant=null,this.currentVariantPrice=0,this.shortages=[],this.pendingAdd=null,this.boundHandleInputChange=this.handleInputChange.bind(this),this.boundHandleMarginChange=this.handleMarginChange.bind(this),this.boundHandleVariantInputChange=this.handleVariantInputChange.bind(this),this.boundHandleAddAvailable=this.handleAddAvailable.bind(this),this.boundHandleNotify=this.handleNotify.bind(this)}connectedCallback(){this.init()}disconnectedCallback(){this.removeEventListeners()}init(){this.components=this.readDefinition(),this.errorsContainer=this.querySelector("[data-kit-errors]"),this.setupInputs(),this.setupShortage(),this.setupYarnCalculator(),this.setupFormSubmit(),this.setVariant(this.initialVariant),this.setupVariantPriceListener()}readDefinition(){const t=this.querySelector("[data-kit-definition]");if(!t)return[];try{const e=JSON.parse(t.textContent);return this.pattern=(e==null?void 0:e.pattern)||{},this.initialVariant=(e==null?void 0:e.variant)||null,this.digitalFormat=(e==null?void 0:e.digital_format)||null,Array.isArray(e==null?void 0:e.components)?e.components.filter(i=>i==null?void 0:i.key):[]}catch(e){return console.warn("Failed to parse kit definition:",e),[]}}setupInputs(){this.querySelectorAll("[data-kit-input]").forEach(t=>{this.getComponent(t.value)&&(t.addEventListener("change",this.boundHandleInputChange),this.inputs.set(t.value,t))}),this.variantInputs=Array.from(this.querySelectorAll("[data-kit-variant]")),this.variantInputs.forEach(t=>{t.addEventListener("change",this.boundHandleVariantInputChange)}),this.updateStockLevels()}handleVariantInputChange(t){var o;const e=t.target,i=this.getComponent(e.dataset.kitVariant),r=parseInt(e.value,10),s=(o=i==null?void 0:i.variants)==null?void 0:o.find(c=>c.id===r);if(!s)return;i.variant_id=s.id,i.price=s.price,i.available=s.available,i.inventory_quantity=s.inventory_quantity,this.updateStockLevels();const a=this.inputs.get(i.key);a&&!a.disabled&&(a.checked=!0,a.dispatchEvent(new Event("change",{bubbles:!0})))}updateStockLevels(){var e;const t=((e=window.theme)==null?void 0:e.strings)||{};this.components.forEach(i=>{const r=this.querySelector(`[data-kit-component="${i.key}"] [data-kit-stock]`);if(!r)return;const s=i.inventory_quantity;let a=t.kit_in_stock;i.available===!1?a=t.sold_out:s!=null&&(a=p(t.kit_stock,{count:s})),r.textContent=a||""})}setupYarnCalculator(){this.marginInput=this.querySelector("[data-yarn-margin]"),this.calculationElement=this.querySelector("[data-yarn-calculation]"),this.dyeLotWarning=this.querySelector("[data-yarn-dye-lot-warning]"),this.marginInput&&this.marginInput.addEventListener("change",this.boundHandleMarginChange)}handleMarginChange(){this.updateQuantities(),this.recalculateTotalPrice()}setupVariantPriceListener(){this.productStateUnsubscriber=X(P(this),t=>this.setVariant(t.variant))}setVariant(t){t&&(this.currentVariant=t,this.currentVariantPrice=parseInt(t.price,10)||0,this.hideShortages(),this.updateDigitalFormat(),this.updateQuantities(),this.recalculateTotalPrice())}updateDigitalFormat(){var i,r;const{position:t,value:e}=this.digitalFormat||{};this.isDigital=!!(t&&((r=(i=this.currentVariant)==null?void 0:i.options)==null?void 0:r[t-1])===e),this.querySelectorAll("[data-kit-physical]").forEach(s=>{s.classList.toggle("hidden",this.isDigital)})}getComponent(t){return this.components.find(e=>e.key===t)}isSelected(t){var e;return t.role==="main"?!0:this.isDigital&&Ct.includes(t.role)?!1:t.required&&!t.group?!0:!!((e=this.inputs.get(t.key))!=null&&e.checked)}getComponentQuantity(t){const e=parseInt(t.default_quantity,10)||1,i=this.getYarnCalculation(t);if(i)return i.skeins;const r=this.getSizeKey(t.quantities);return r===void 0?e:parseInt(t.quantities[r],10)||e}getSizeKey(t){return!t||!this.currentVariant?void 0:[this.currentVariant.title,...this.currentVariant.options||[]].filter(Boolean).find(i=>t[i]!==void 0)}getSafetyMargin(){return this.marginInput&&parseFloat(this.marginInput.value)||0}getYarnCalculation(t){if(!t.meters_per_skein)return null;const e=this.getSizeKey(this.pattern.meters);if(e===void 0)return null;const i=pt({meters:this.pattern.meters[e],metersPerSkein:t.meters_per_skein,margin:this.getSafetyMargin(),patternGauge:this.pattern.gauge,yarnGauge:t.gauge});return i?{...i,size:e}:null}updateYarnCalculation(){var c;if(!this.calculationElement)return;const t=this.components.filter(u=>u.role==="yarn"),e=t.find(u=>this.isSelected(u))||t[0],i=e?this.getYarnCalculation(e):null;if(!i){this.calculationElement.textContent="",this.toggleDyeLotWarning(null);return}const r=((c=window.theme)==null?void 0:c.strings)||{},s=i.gaugeRatio!==1?p(r.yarn_gauge_adjustment,{ratio:i.gaugeRatio.toFixed(2),yarn_gauge:e.gauge,pattern_gauge:this.pattern.gauge}):"";this.calculationElement.textContent=p(r.yarn_calculation,{title:e.title,size:i.size,meters:i.meters,gauge:s,margin:i.margin,total:i.totalMeters,meters_per_skein:i.metersPerSkein,skeins:i.skeins});const a=e.inventory_quantity,o=a!=null&&i.skeins>a;this.toggleDyeLotWarning(o?a:null)}toggleDyeLotWarning(t){var i,r;if(!this.dyeLotWarning)return;const e=t!==null;this.dyeLotWarning.textContent=e?p((r=(i=window.theme)==null?void 0:i.strings)==null?void 0:r.yarn_dye_lot_warning,{count:t}):"",this.dyeLotWarning.classList.toggle("hidden",!e)}updateQuantities(){this.components.forEach(t=>{const e=this.querySelector(`[data-kit-component="${t.key}"]`),i=e==null?void 0:e.querySelector("[data-kit-quantity]");i&&(i.textContent=this.getComponentQuantity(t))}),this.updateYarnCalculation()}handleInputChange(t){const e=t.target,i=this.getComponent(e.value);i!=null&&i.group&&e.checked&&this.components.filter(r=>r.group===i.group&&r!==i).forEach(r=>{const s=this.inputs.get(r.key);s&&(s.checked=!1)}),this.clearErrors(),this.updateYarnCalculation(),this.recalculateTotalPrice(),this.dispatchEvent(new CustomEvent("product:kit:change",{detail:{component:i,isChecked:e.checked,items:this.buildItems(),totalPrice:this.getCalculatedTotalPrice()},bubbles:!0}))}hasSelectedComponents(){return this.components.some(t=>t.role!=="main"&&this.isSelected(t))}validate(){var r;const t=[],e=((r=window.theme)==null?void 0:r.strings)||{};return new Set(this.components.filter(s=>s.group&&s.required).map(s=>s.group)).forEach(s=>{this.components.some(o=>o.group===s&&this.isSelected(o))||t.push(e.kit_group_required)}),t.filter(Boolean)}buildItems(t=null,e=null,i=[]){const r=[];let s=!1;const a=(o,c)=>e?{...o,properties:{...o.properties,_kit_id:e,_kit_role:c}}:o;return this.components.forEach(o=>{if(o.role==="main"){s=!0,t&&r.push(a(t,"main"));return}this.isSelected(o)&&(i.includes(o.key)||r.push(a({id:parseInt(o.variant_id,10),quantity:this.getComponentQuantity(o)},o.role)))}),!s&&t&&r.push(a(t,"main")),r}createKitId(){const t=Math.random().toString(36).slice(2,8);return`${this.dataset.productId||"kit"}-${Date.now().toString(36)}${t}`}getForm(){var e;const{formId:t}=this.dataset;return t&&document.getElementById(t)||this.closest("form")||((e=this.closest("product-form"))==null?void 0:e.querySelector("form[data-product-form]"))||null}getCartElement(){return this.closest("cart-element")||document.querySelector("cart-element[data-cart-page]")||document.querySelector("cart-element[data-cart-drawer]")}setupFormSubmit(){const t=this.getForm();t&&(this.form=t,this.boundHandleFormSubmit=this.handleFormSubmit.bind(this),t.addEventListener("submit",this.boundHandleFormSubmit,!0))}handleFormSubmit(t){const e=this.getCartElement();if(!this.hasSelectedComponents()||!(e!=null&&e.addItems))return;t.preventDefault(),t.stopPropagation(),t.stopImmediatePropagation();const i=t.target,r=i.querySelector("[data-add-to-cart]")||i.querySelector('[type="submit"]');if(r!=null&&r.hasAttribute("disabled"))return;const s=this.validate();if(s.length>0){this.showErrors(s);return}if(D(i))return;const a=i.querySelector('input[name="id"]'),o=i.querySelector('input[name="quantity"]')||i.id&&document.querySelector(`input[name="quantity"][form="${i.id}"]`);if(!a){this.showErrors([window.theme.strings.kit_add_error]);return}const c={id:parseInt(a.value,10),quantity:o&&parseInt(o.value,10)||1,properties:this.getFormProperties(i)},u=this.getShortages();if(u.length>0){this.pendingAdd={mainItem:c,submitButton:r,cartElement:e},this.showShortages(u);return}const d=this.buildItems(c,this.createKitId());if(d.filter(h=>!h.id||isNaN(h.id)||h.quantity<=0).length>0){this.showErrors([window.theme.strings.kit_add_error]);return}e.addItems(d,{button:r})}getFormProperties(t){const e={};return new FormData(t).forEach((i,r)=>{const s=r.match(/^properties\[(.+)\]$/);s&&typeof i=="string"&&(e[s[1]]=i)}),e}setupShortage(){var t,e;this.shortageContainer=this.querySelector("[data-kit-shortage]"),this.shortageList=this.querySelector("[data-kit-shortage-list]"),this.addAvailableButton=this.querySelector("[data-kit-add-available]"),this.notifyButton=this.querySelector("[data-kit-notify]"),(t=this.addAvailableButton)==null||t.addEventListener("click",this.boundHandleAddAvailable),(e=this.notifyButton)==null||e.addEventListener("click",this.boundHandleNotify)}getShortages(){return this.components.filter(t=>t.role!=="main"&&this.isSelected(t)).map(t=>{const e=this.getComponentQuantity(t),i=t.inventory_quantity;return!parseInt(t.variant_id,10)||t.available===!1?{component:t,quantity:e,count:0}:i!=null&&i<e?{component:t,quantity:e,count:Math.max(i,0)}:null}).filter(Boolean)}getShortageMessage({component:t,quantity:e,count:i}){var a;const r=((a=window.theme)==null?void 0:a.strings)||{},s=t.title||t.key;return i===0?p(r.kit_component_unavailable||"{{ title }}",{title:s}):p(r.kit_component_limited||"{{ title }}",{title:s,count:i,quantity:e})}showShortages(t){if(this.shortages=t,!this.shortageContainer){this.showErrors(t.map(e=>this.getShortageMessage(e)));return}this.shortageList.innerHTML="",t.forEach(e=>{const i=document.createElement("li");i.textContent=this.getShortageMessage(e),this.shortageList.appendChild(i)}),this.shortageContainer.classList.remove("hidden")}hideShortages(){var t;this.shortages=[],this.pendingAdd=null,(t=this.shortageContainer)==null||t.classList.add("hidden")}handleAddAvailable(){if(!this.pendingAdd)return;const{mainItem:t,submitButton:e,cartElement:i}=this.pendingAdd,r=this.shortages.map(({component:a})=>a.key),s=this.buildItems(t,this.createKitId(),r);this.hideShortages(),i.addItems(s,{button:e})}handleNotify(){var i;const t=((i=window.theme)==null?void 0:i.strings)||{},e=p(t.kit_notify_missing||"{{ items }}",{items:this.shortages.map(({component:r})=>r.title||r.key).join(", ")});gt(this.notifyButton,r=>{const s=r.querySelector('input[type="hidden"][name^="contact["]');s&&(s.value=`${s.value} - ${e}`);const a=r.querySelector(".product-notification__title");if(a){const o=document.createElement("p");o.className="product-notification__subtitle",o.textContent=e,a.after(o)}})}showErrors(t){var r;const e=t.join(`
+`);[this.errorsContainer,(r=this.form)==null?void 0:r.querySelector("[data-cart-errors-container]")].filter(Boolean).forEach(s=>{s.textContent=e,s.setAttribute("role","alert"),s.classList.remove("hidden")})}clearErrors(){this.errorsContainer&&(this.errorsContainer.textContent=""),this.hideShortages()}getComponentsPrice(){return this.components.reduce((t,e)=>{if(e.role==="main"||!this.isSelected(e))return t;const i=parseFloat(e.price)||0;return t+i*this.getComponentQuantity(e)},0)}getCalculatedTotalPrice(){return this.currentVariantPrice+this.getComponentsPrice()}recalculateTotalPrice(){const t=this.getComponentsPrice();this.updatePriceDisplay(this.currentVariantPrice+t,t>0)}updatePriceDisplay(t,e){const i=T(t);if(!i){console.warn("Could not format price:",t);return}if(!this.form)return;let r=this.form.querySelectorAll("[data-add-to-cart] [data-product-price]");r.length===0&&(r=this.form.querySelectorAll("[data-add-to-cart] .product__price--regular")),r.forEach(s=>{s.textContent=i,s.classList.toggle("price--with-pattern-product",e)})}removeEventListeners(){var t,e;this.form&&this.boundHandleFormSubmit&&this.form.removeEventListener("submit",this.boundHandleFormSubmit,!0),this.productStateUnsubscriber&&(this.productStateUnsubscriber(),this.productStateUnsubscriber=null),this.inputs.forEach(i=>{i.removeEventListener("change",this.boundHandleInputChange)}),this.variantInputs.forEach(i=>{i.removeEventListener("change",this.boundHandleVariantInputChange)}),this.variantInputs=[],(t=this.addAvailableButton)==null||t.removeEventListener("click",this.boundHandleAddAvailable),(e=this.notifyButton)==null||e.removeEventListener("click",this.boundHandleNotify),this.marginInput&&this.marginInput.removeEventListener("change",this.boundHandleMarginChange),this.inputs.clear(),this.form=null,this.boundHandleFormSubmit=null}}customElements.get("kit-builder")||customElements.define("kit-builder",Z);class Et extends HTMLElement{constructor(){super(),this.boundHandleFormatChange=this.handleFormatChange.bind(this),this.boundHandleLanguageChange=this.handleLanguageChange.bind(this)}connectedCallback(){this.init()}disconnectedCallback(){this.removeEventListeners()}init(){var t;this.formatPosition=parseInt(this.dataset.formatPosition,10)||0,this.languagePosition=parseInt(this.dataset.languagePosition,10)||0,this.formatInputs=Array.from(this.querySelectorAll("[data-pattern-format]")),this.languageSelect=this.querySelector("[data-pattern-language]"),this.languageProperty=this.querySelector("[data-pattern-language-property]"),this.productScope=P(this),this.formatInputs.forEach(e=>{e.addEventListener("change",this.boundHandleFormatChange)}),(t=this.languageSelect)==null||t.addEventListener("change",this.boundHandleLanguageChange),this.productStateUnsubscriber=X(this.productScope,e=>this.syncFromVariant(e.variant))}handleFormatChange(t){this.selectOption(this.formatPosition,t.target.value)}handleLanguageChange(){const t=this.languageSelect.value;this.updateLanguageProperty(t),this.selectOption(this.languagePosition,t)}selectOption(t,e){if(!t)return;const i=this.productScope.querySelector(`variant-selects [data-option-position="${t}"]`);if(!i)return;const r=CSS.escape(e),s=i.querySelector(`input[type="radio"][value="${r}"]`);if(s){if(s.checked)return;s.checked=!0,s.dispatchEvent(new Event("change",{bubbles:!0}));return}const a=i.querySelector("[data-popout-input]"),o=i.querySelector(`li[value="${r}"]`);!a||!o||a.value===e||(a.value=e,a.dataset.optionValueId=o.dataset.optionValueId,a.dataset.productUrl=o.dataset.productUrl,a.dispatchEvent(new Event("change",{bubbles:!0})))}syncFromVariant(t){if(t!=null&&t.options){if(this.formatPosition){const e=t.options[this.formatPosition-1];this.formatInputs.forEach(i=>{i.checked=i.value===e})}if(this.languagePosition&&this.languageSelect){const e=t.options[this.languagePosition-1];e&&(this.languageSelect.value=e,this.updateLanguageProperty(e))}}}updateLanguageProperty(t){this.languageProperty&&(this.languageProperty.value=t)}removeEventListeners(){var t,e;(t=this.formatInputs)==null||t.forEach(i=>{i.removeEventListener("change",this.boundHandleFormatChange)}),(e=this.languageSelect)==null||e.removeEventListener("change",this.boundHandleLanguageChange),this.productStateUnsubscriber&&(this.productStateUnsubscriber(),this.productStateUnsubscriber=null)}}customElements.get("pattern-format-selector")||customElements.define("pattern-format-selector",Et);function tt(n){const t=new Map;return(n||"").split(/\r?\n/).forEach(e=>{const[i,r]=e.split(":").map(a=>a.trim()),s=parseFloat((r||"").replace(",","."));i&&s>0&&t.set(i.toLowerCase(),s)}),t}function et(){var n,t;return{currency:(n=window.theme)==null?void 0:n.current_iso_code,...(t=window.theme)==null?void 0:t.freeShipping}}function it(n){var s,a;const t=Number((a=(s=window.Shopify)==null?void 0:s.currency)==null?void 0:a.rate)||1;if(t===1)return n;const{rounding:e,currency:i}=et(),r=tt(e).get((i||"").toLowerCase())||1;return Math.ceil(n*t/100/r)*r*100}function nt(n){const{thresholds:t,country:e,market:i,currency:r}=et(),s=tt(t),a=[e,i,r].filter(Boolean).map(o=>o.toLowerCase()).find(o=>s.has(o));return a?s.get(a)*100:it(n*100)}const C="_cart_goal_gift";class Lt extends HTMLElement{connectedCallback(){this.goals=this.getGoals(),this.messagesHolder=this.querySelector("[data-cart-goals-messages]"),this.progressHolder=this.querySelector("[data-cart-goals-progress]"),this.renderSegments(),this.update(parseInt(this.dataset.subtotal,10)||0)}getGoals(){const t=this.querySelector("[data-cart-goals]");try{return JSON.parse((t==null?void 0:t.textContent)||"[]").map(e=>({...e,amount:e.type==="shipping"?nt(e.amount/100):it(e.amount)})).sort((e,i)=>e.amount-i.amount)}catch(e){return console.warn("Failed to parse cart goals:",e),[]}}getGiftGoals(){return this.goals.filter(t=>t.type==="gift"&&t.variant_id)}renderSegments(){if(!this.progressHolder||!this.goals.length)return;let t=0;this.segments=this.goals.map(e=>{const i=document.createElement("span");return i.className="cart-goals__segment",i.dataset.goal=e.id,i.dataset.goalType=e.type,i.style.setProperty("--segment-size",Math.max(e.amount-t,0)),i.innerHTML=`<span class="cart-goals__fill"></span><span class="cart-goals__label">${this.formatAmount(e.amount)}</span>`,t=e.amount,this.progressHolder.appendChild(i),i})}update(t){this.classList.toggle("is-hidden",t===0);let e=0;const i=[];let r=!1;this.goals.forEach((s,a)=>{var l;const o=t>=s.amount,c=s.amount-e,u=c>0?(t-e)/c:1,d=(l=this.segments)==null?void 0:l[a];if(d&&(d.classList.toggle("is-reached",o),d.style.setProperty("--segment-fill",`${Math.min(Math.max(u,0),1)*100}%`)),o&&s.success)i.push(`<span class="cart-goals__message is-success">${s.success}</span>`);else if(!o&&!r){r=!0;const h=`<span data-left-to-spend>${this.formatAmount(s.amount-t)}</span>`;i.push(`<span class="cart-goals__message">${(s.message||"").replace("||amount||",h)}</span>`)}e=s.amount}),this.messagesHolder&&(this.messagesHolder.innerHTML=i.join(""))}formatAmount(t){var i;let e=window.theme.formatMoney(t,window.theme.moneyFormat);return(e.endsWith(".00")||e.endsWith(",00"))&&(e=e.slice(0,-3)),(i=window.theme.settings)!=null&&i.currency_code_enable&&(e+=` ${window.theme.current_iso_code}`),e}}customElements.get("cart-goals")||customElements.define("cart-goals",Lt);const U="saved-for-later-change",_="theme:saved-for-later";let V=!1;var z;(z=window.theme)!=null&&z.PUB_SUB_EVENTS&&(window.theme.PUB_SUB_EVENTS.savedForLaterChange=U);function S(n){return`${n.variant_id}:${JSON.stringify(n.properties||{})}`}function rt(){var t;const{customer:n}=((t=window.theme)==null?void 0:t.savedForLater)||{};return n?`${_}:${n}`:_}function st(n){try{const t=JSON.parse(window.localStorage.getItem(n)||"[]");return Array.isArray(t)?t:[]}catch(t){return console.warn("Failed to parse saved items:",t),[]}}function v(){return st(rt())}function k(n,t=!0){try{window.localStorage.setItem(rt(),JSON.stringify(n))}catch(e){console.warn("Failed to store saved items:",e)}window.publish&&window.publish(U,{data:{items:n}}),t&&_t(n)}function qt(n){const t=S(n),e=v(),i=e.find(r=>S(r)===t);if(i){i.quantity+=n.quantity,k(e);return}k([n,...e])}function Q(n){k(v().filter(t=>S(t)!==n))}function At(){var a;const{customer:n,proxyUrl:t,items:e}=((a=window.theme)==null?void 0:a.savedForLater)||{};if(V||!n)return;V=!0;let i=v();t&&(i=Array.isArray(e)?e:[]);const r=i.map(S),s=st(_).filter(o=>!r.includes(S(o)));try{window.localStorage.removeItem(_)}catch(o){console.warn("Failed to clear the guest saved items:",o)}k([...i,...s],s.length>0)}function _t(n){var i;const{customer:t,proxyUrl:e}=((i=window.theme)==null?void 0:i.savedForLater)||{};!t||!e||fetch(e,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({items:n}),keepalive:!0}).catch(r=>console.log(r))}class kt extends HTMLElement{constructor(){super(),this.products=new Map,this.boundHandleClick=this.handleClick.bind(this)}connectedCallback(){this.itemsHolder=this.querySelector("[data-saved-items]"),this.template=this.querySelector("[data-saved-item-template]"),this.addEventListener("click",this.boundHandleClick),window.subscribe&&(this.savedItemsUnsubscriber=window.subscribe(U,({data:t})=>this.render(t.items))),this.render(v()),At()}disconnectedCallback(){this.removeEventListener("click",this.boundHandleClick),this.savedItemsUnsubscriber&&(this.savedItemsUnsubscriber(),this.savedItemsUnsubscriber=null)}render(t){!this.itemsHolder||!this.template||(this.itemsHolder.innerHTML="",this.hidden=t.length===0,t.forEach(e=>{const i=this.template.content.cloneNode(!0),r=i.querySelector("[data-saved-item]"),s=r.querySelector("[data-saved-item-image]"),a=[e.variant_title,...Object.entries(e.properties||{}).filter(([o,c])=>!o.startsWith("_")&&c).map(([o,c])=>`${o}: ${c}`)].filter(Boolean);r.dataset.key=S(e),r.querySelectorAll("[data-saved-item-link]").forEach(o=>{o.href=e.url}),r.querySelector("[data-saved-item-title]").textContent=e.title,r.querySelector("[data-saved-item-meta]").textContent=a.join(" / "),e.image?(s.src=e.image,s.alt=e.title):s.remove(),this.itemsHolder.appendChild(i),this.checkStock(e,r)}))}checkStock(t,e){this.products.has(t.handle)||this.products.set(t.handle,fetch(`${window.theme.routes.root}products/${t.handle}.js`).then(i=>i.ok?i.json():null).catch(()=>null)),this.products.get(t.handle).then(i=>{const r=i==null?void 0:i.variants.find(a=>a.id===t.variant_id),s=!!(r!=null&&r.available);e.classList.toggle("is-sold-out",!s),e.querySelector("[data-saved-item-sold-out]").hidden=s,e.querySelector("[data-saved-item-move]").disabled=!s,r&&(e.querySelector("[data-saved-item-price]").textContent=T(r.price*t.quantity))})}handleClick(t){const e=t.target.closest("[data-saved-item-move]"),i=t.target.closest("[data-saved-item-remove]"),r=t.target.closest("[data-saved-item]");r&&(i?Q(r.dataset.key):e&&this.moveToCart(r,e))}moveToCart(t,e){const i=v().find(a=>S(a)===t.dataset.key),r=this.closest("cart-element")||document.querySelector("cart-element"),s=t.querySelector("[data-saved-item-error]");!i||typeof(r==null?void 0:r.addItems)!="function"||(e.classList.add("is-loading"),e.disabled=!0,s.hidden=!0,r.addItems([{id:i.variant_id,quantity:i.quantity,properties:i.properties}],{showError:!1}).then(a=>{if(e.classList.remove("is-loading"),e.disabled=!1,!a||a.status){s.textContent=(a==null?void 0:a.description)||"",s.hidden=!s.textContent;return}Q(t.dataset.key)}))}}customElements.get("saved-for-later")||customElements.define("saved-for-later",kt);class It extends HTMLElement{constructor(){super(),this.boundHandleSubmit=this.handleSubmit.bind(this),this.boundHandleClick=this.handleClick.bind(this)}connectedCallback(){try{this.lineItem=JSON.parse(this.dataset.lineItem)}catch(t){console.warn("Failed to parse line item:",t);return}this.addEventListener("submit",this.boundHandleSubmit),this.addEventListener("click",this.boundHandleClick),this.load()}disconnectedCallback(){this.removeEventListener("submit",this.boundHandleSubmit),this.removeEventListener("click",this.boundHandleClick)}load(){const{handle:t,variant_id:e}=this.lineItem,i=`${window.theme.routes.root}products/${t}?section_id=api-cart-edit&variant=${e}`;this.classList.add("is-loading"),fetch(i).then(r=>r.text()).then(r=>{var o;const s=document.createElement("div");s.innerHTML=r;const a=s.querySelector("product-info");a&&(this.replaceChildren(a),this.form=this.querySelector("[data-cart-edit-form]"),(o=this.querySelector("input:not([type='hidden']), select, button"))==null||o.focus())}).catch(r=>console.log(r)).finally(()=>this.classList.remove("is-loading"))}handleClick(t){t.target.closest("[data-cart-edit-close]")&&(t.preventDefault(),this.close())}handleSubmit(t){var o;if(t.target!==this.form)return;t.preventDefault();const e=Number(this.form.querySelector('[name="id"]').value),i=yt(P(this.form)),r=this.closest("cart-element"),s=this.form.querySelector("[data-cart-edit-submit]");if(!e||((o=i==null?void 0:i.variant)==null?void 0:o.available)===!1||typeof(r==null?void 0:r.swapLineItem)!="function")return;const a={...this.lineItem.properties,...this.getFormProperties()};if(e===this.lineItem.variant_id&&JSON.stringify(a)===JSON.stringify(this.lineItem.properties)){this.close();return}s.classList.add("is-loading"),s.disabled=!0,r.swapLineItem(this.closest("[data-cart-item]"),this.lineItem,{id:e,quantity:this.lineItem.quantity,properties:a})}getFormProperties(){const t={};return new FormData(this.form).forEach((e,i)=>{const r=i.match(/^properties\[(.+)\]$/);r&&(t[r[1]]=e)}),t}close(){var e;const t=(e=this.closest("[data-cart-item]"))==null?void 0:e.querySelector("[data-item-edit]");t==null||t.setAttribute("aria-expanded","false"),t==null||t.focus(),this.remove()}}customElements.get("cart-line-edit")||customElements.define("cart-line-edit",It);const Tt="_gift_wrap",Pt=500;class xt extends HTMLElement{constructor(){super(),this.boundHandleToggle=this.handleToggle.bind(this),this.boundHandleInput=this.handleInput.bind(this),this.boundHandleSubmit=this.handleSubmit.bind(this),this.boundSaveAttributes=this.saveAttributes.bind(this)}connectedCallback(){var t;this.toggle=this.querySelector("[data-gift-wrap-toggle]"),this.message=this.querySelector("[data-gift-wrap-message]"),this.hidePrices=this.querySelector("[data-gift-wrap-hide-prices]"),this.counter=this.querySelector("[data-gift-wrap-counter]"),this.error=this.querySelector("[data-gift-wrap-error]"),this.maxLength=parseInt(this.dataset.maxLength,10)||0,this.form=this.message.form,this.toggle.addEventListener("change",this.boundHandleToggle),this.message.addEventListener("input",this.boundHandleInput),this.hidePrices.addEventListener("change",this.boundSaveAttributes),(t=this.form)==null||t.addEventListener("submit",this.boundHandleSubmit),this.validate()}disconnectedCallback(){var t;clearTimeout(this.saveTimer),this.toggle.removeEventListener("change",this.boundHandleToggle),this.message.removeEventListener("input",this.boundHandleInput),this.hidePrices.removeEventListener("change",this.boundSaveAttributes),(t=this.form)==null||t.removeEventListener("submit",this.boundHandleSubmit)}getCartElement(){return this.closest("cart-element")||document.querySelector("cart-element")}handleToggle(){const t=this.getCartElement();if(typeof(t==null?void 0:t.addItems)=="function"){if(this.toggle.disabled=!0,!this.toggle.checked){const e=t.querySelector("[data-cart-item][data-gift-wrap]");if(!e){this.update(!1);return}t.updateCart({id:e.getAttribute("data-item"),quantity:0},e);return}t.addItems([{id:Number(this.dataset.variantId),quantity:1,properties:{[Tt]:"true"}}]).then(e=>{(!e||e.status)&&this.update(!1)})}}handleInput(){clearTimeout(this.saveTimer),this.validate()&&(this.saveTimer=setTimeout(this.boundSaveAttributes,Pt))}handleSubmit(t){this.validate()||(t.preventDefault(),this.message.focus())}validate(){const{length:t}=this.message.value,e=!this.maxLength||t<=this.maxLength;return this.counter.textContent=`${t}/${this.maxLength}`,this.error.hidden=e,this.message.setAttribute("aria-invalid",String(!e)),e}saveAttributes(){clearTimeout(this.saveTimer),this.validate()&&fetch(`${window.theme.routes.cart_update_url}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({attributes:this.getAttributes()})}).catch(t=>console.log(t))}getAttributes(){return{[this.dataset.messageAttribute]:this.message.value.trim(),[this.dataset.hidePricesAttribute]:this.hidePrices.checked?"Yes":""}}hasAttributes(){return!!(this.message.value.trim()||this.hidePrices.checked)}update(t){this.toggle.checked=t,this.toggle.disabled=!1}reset(){clearTimeout(this.saveTimer),this.message.value="",this.hidePrices.checked=!1,this.validate()}}customElements.get("cart-gift-wrap")||customElements.define("cart-gift-wrap",xt);const Ot="api-cart-upsells",Rt=10,E=new Map;function Ft(n){if(!E.has(n)){const t=`${window.theme.routes.product_recommendations_url}?section_id=${Ot}&product_id=${n}&limit=${Rt}&intent=complementary`;E.set(n,fetch(t).then(e=>e.ok?e.text():"").then(e=>{const i=document.createElement("div");return i.innerHTML=e,Array.from(i.querySelectorAll("[data-upsell-holder][data-product-id]"))}).catch(e=>(console.log(e),E.delete(n),[])))}return E.get(n)}function Ht(n,t){const e=[...new Set(n)];return Promise.all(e.map(Ft)).then(i=>{const r=new Map;return i.forEach(s=>{s.forEach(a=>{const{productId:o}=a.dataset;if(e.includes(o))return;const c=r.get(o);c?c.count+=1:r.set(o,{holder:a,count:1})})}),Array.from(r.values()).sort((s,a)=>a.count-s.count).slice(0,t).map(({holder:s})=>s.cloneNode(!0))})}const Mt="theme:cart",at="theme:cart-change",w="BroadcastChannel"in window?new BroadcastChannel(Mt):null;function Dt(n){const t={...n,timestamp:Date.now()};if(w){w.postMessage(t);return}try{window.localStorage.setItem(at,JSON.stringify(t))}catch(e){console.warn("Failed to store cart change:",e)}}function Ut(n){if(w){const e=i=>n(i.data);return w.addEventListener("message",e),()=>w.removeEventListener("message",e)}const t=e=>{if(!(e.key!==at||!e.newValue))try{n(JSON.parse(e.newValue))}catch(i){console.warn("Failed to parse cart change:",i)}};return window.addEventListener("storage",t),()=>window.removeEventListener("storage",t)}const $="theme:discount-code",G="theme:discount-cookie";function ot(n){try{return window.localStorage.getItem(n)}catch{return null}}function N(n,t){try{t===null?window.localStorage.removeItem(n):window.localStorage.setItem(n,t)}catch(e){console.warn("Failed to store discount code:",e)}}function $t(){const n=document.cookie.match(/(?:^|;\s*)discount_code=([^;]*)/);if(!n)return"";const t=decodeURIComponent(n[1]).trim();return!t||ot(G)===t?"":(N(G,t),t)}function Nt(){const n=new URL(window.location.href),t=n.pathname.match(/\/discount\/([^/]+)/),e=(n.searchParams.get("discount")||(t?decodeURIComponent(t[1]):"")||$t()).trim();n.searchParams.has("discount")&&(n.searchParams.delete("discount"),window.history.replaceState(window.history.state,"",n.toString())),e&&N($,e)}function ct(){return ot($)||""}function K(n){n&&ct()===n&&N($,null)}function jt(n){var e;if(!((e=window.crypto)!=null&&e.subtle))return Promise.resolve(null);const t=new TextEncoder().encode(n.trim().toUpperCase());return window.crypto.subtle.digest("SHA-256",t).then(i=>Array.from(new Uint8Array(i),r=>r.toString(16).padStart(2,"0")).join(""))}function Vt(n){const t=document.querySelector("[data-discount-rules]");if(!t)return Promise.resolve(null);let e;try{e=JSON.parse(t.textContent)}catch(i){return console.warn("Failed to parse discount rules:",i),Promise.resolve(null)}return jt(n).then(i=>i&&e[i]||null)}function Qt(n,t){var s;const e=((s=window.theme)==null?void 0:s.strings)||{},i=n.toLowerCase(),r=(t.discount_codes||[]).filter(a=>a.applicable&&a.code.toLowerCase()!==i).map(a=>a.code);return Vt(n).then(a=>{var o,c;if(a!=null&&a.endsAt&&a.endsAt<Date.now())return p(e.discount_expired,{code:n});if(a!=null&&a.minimum){const u=Number((c=(o=window.Shopify)==null?void 0:o.currency)==null?void 0:c.rate)||1,d=Math.ceil(a.minimum*u-t.items_subtotal_price);if(d>0)return p(e.discount_minimum,{code:n,amount:T(d)})}return r.length&&!(a!=null&&a.combinable)?p(e.discount_not_combinable,{code:n,codes:r.join(", ")}):""}).catch(a=>(console.log(a),""))}let y=!1;function O(n){document.querySelectorAll("cart-element").forEach(t=>{Object.prototype.hasOwnProperty.call(t,n)&&(t[n]=t.constructor.prototype[n].bind(t))})}function Gt(n){const t=n.prototype.updateCart;n.prototype.updateCart=function(e={},i=null){const r=this.cart.querySelector(`[data-item="${e.id}"]`)||i,s=r==null?void 0:r.dataset.kitId;if(!s)return t.call(this,e,i);this.updateKit(s,e,r)},n.prototype.updateKit=function(e,i,r){const s=Array.from(this.cart.querySelectorAll("[data-cart-item][data-kit-id]")).filter(d=>d.dataset.kitId===e),a=parseInt(r.dataset.kitQuantity,10)||1,o=parseInt(i.quantity,10)||0,c=r.getAttribute("data-item-title"),u={};s.forEach(d=>{const l=parseInt(d.dataset.kitQuantity,10)||0;u[d.dataset.item]=o===0?0:Math.max(Math.round(l*o/a),1),d.classList.add(o?"is-loading":"is-removed")}),this.disableCartButtons(),this.addLoadingClass(),fetch(`${window.theme.routes.cart_update_url}.js`,{method:"post",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({updates:u})}).then(d=>d.json().then(l=>({ok:d.ok,data:l}))).then(({ok:d,data:l})=>{if(!d||l.status){this.cartUpdateFailed=!0,this.updateErrorText(c),this.toggleErrorMessage(),s.forEach(h=>{h.classList.remove("is-loading","is-removed"),h.querySelector("[data-quantity-field]")&&this.resetLineItem(h)}),this.enableCartButtons(),this.removeLoadingClass(),this.scrollToCartTop();return}this.getCart()}).catch(d=>{console.log(d),this.enableCartButtons(),this.removeLoadingClass()})}}function Kt(n){const t=n.prototype.updateCart,e=n.prototype.build,i=300;n.prototype.updateCart=function(r={},s=null){const a=this.cart.querySelector(`[data-item="${r.id}"]`)||s;if(!(a!=null&&a.querySelector("[data-quantity-field]"))||a.dataset.kitId)return t.call(this,r,s);this.queueLineUpdate(a,parseInt(r.quantity,10)||0)},n.prototype.build=function(r){e.call(this,r),this.confirmedSubtotal=this.subtotal,this.applyPendingLineUpdates()},n.prototype.queueLineUpdate=function(r,s){this.confirmedSubtotal===void 0&&(this.confirmedSubtotal=this.subtotal),this.pendingLineUpdates=this.pendingLineUpdates||{},this.pendingLineUpdates[r.getAttribute("data-item")]=s,this.toggleLineError(r,!1),this.renderLineQuantity(r,s),this.renderOptimisticTotals(),clearTimeout(this.lineUpdatesTimer),this.lineUpdatesTimer=setTimeout(()=>this.flushLineUpdates(),i)},n.prototype.flushLineUpdates=function(){const r=this.pendingLineUpdates||{};this.lineUpdatesRequest||!Object.keys(r).length||(this.pendingLineUpdates={},this.lineUpdatesRequest=fetch(`${window.theme.routes.cart_update_url}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({updates:r})}).then(s=>s.json().then(a=>({ok:s.ok,data:a}))).then(({ok:s,data:a})=>{(!s||a.status)&&this.rollbackLineUpdates(r,a.description)}).catch(s=>{console.log(s),this.rollbackLineUpdates(r)}).finally(()=>{this.lineUpdatesRequest=null,Object.keys(this.pendingLineUpdates).length?this.flushLineUpdates():this.getCart()}))},n.prototype.rollbackLineUpdates=function(r,s){this.lineUpdateErrors=this.lineUpdateErrors||{},Object.keys(r).forEach(a=>{const o=this.cart.querySelector(`[data-item="${a}"]`),c=o==null?void 0:o.querySelector("[data-quantity-field]");!c||a in this.pendingLineUpdates||(this.lineUpdateErrors[a]=s,this.renderLineQuantity(o,parseInt(c.getAttribute("value"),10)),this.toggleLineError(o,!0,s))}),this.renderOptimisticTotals()},n.prototype.applyPendingLineUpdates=function(){const r=this.pendingLineUpdates||{},s=this.lineUpdateErrors||{};Object.entries(s).forEach(([a,o])=>{const c=this.cart.querySelector(`[data-item="${a}"]`);c&&this.toggleLineError(c,!0,o)}),this.lineUpdateErrors={},Object.entries(r).forEach(([a,o])=>{const c=this.cart.querySelector(`[data-item="${a}"]`);c&&this.renderLineQuantity(c,o)}),Object.keys(r).length&&this.renderOptimisticTotals()},n.prototype.renderLineQuantity=function(r,s){const a=r.querySelector("[data-quantity-field]"),o=r.querySelector("[data-quantity-select]"),c=r.querySelector("[data-item-line-price]"),u=Number(r.getAttribute("data-item-price"))||0;a.value=s,o&&(o.textContent=s),r.classList.toggle("is-removed",s===0),c&&(c.hidden=s<2,c.querySelector("[data-item-line-price-value]").textContent=T(u*s))},n.prototype.getCartItemCount=function(){return this.cart?Array.from(this.cart.querySelectorAll("[data-cart-item]")).reduce((r,s)=>{const a=s.querySelector("[data-quantity-field]"),o=a?a.value:s.dataset.itemQuantity;return r+(parseInt(o,10)||0)},0):0},n.prototype.renderOptimisticTotals=function(){let r=this.confirmedSubtotal||0,s=0;this.cart.querySelectorAll("[data-cart-item]").forEach(a=>{const o=a.querySelector("[data-quantity-field]");if(!o){s+=parseInt(a.dataset.itemQuantity,10)||0;return}const c=Number(a.getAttribute("data-item-price"))||0,u=parseInt(o.value,10)||0,d=parseInt(o.getAttribute("value"),10)||0;r+=(u-d)*c,s+=u}),this.subtotal=Math.max(r,0),this.cartTotalPrice&&(this.cartTotalPrice.innerHTML=this.subtotal===0?window.theme.strings.free:window.theme.formatMoney(this.subtotal,window.theme.moneyWithCurrencyFormat)),this.updateItemsQuantity(s),this.cartMessage.length>0&&this.updateProgress(),document.querySelectorAll("cart-goals").forEach(a=>a.update(this.subtotal))},n.prototype.toggleLineError=function(r,s,a){const o=r.querySelector("[data-item-error]");o&&(s&&a&&(o.textContent=a),o.hidden=!s)}}function Wt(n){n.prototype.addItems=function(t,e={}){var a,o,c,u,d;const{button:i=null,showError:r=!0}=e,s=D(i==null?void 0:i.closest("form"));return s?Promise.resolve({status:422,description:s}):(this.button=i,this.form=(i==null?void 0:i.closest("form"))||null,this.recipientErrors=!1,this.variantTitle=(a=this.form)==null?void 0:a.getAttribute("data-variant-title"),this.showCannotAddMoreInCart=((o=this.form)==null?void 0:o.getAttribute("data-max-inventory-reached"))==="true"&&((c=this.form)==null?void 0:c.getAttribute("data-error-message-position"))==="cart",(d=(u=window.theme).closeAllTooltips)==null||d.call(u),this.cartDrawerEnabled&&this.button&&(this.button.classList.add("is-loading"),this.button.setAttribute("disabled",!0)),fetch(`${window.theme.routes.cart_add_url}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json","X-Requested-With":"XMLHttpRequest"},body:JSON.stringify({items:t})}).then(l=>l.json()).then(l=>(this.button&&(this.button.disabled=!0),this.addLoadingClass(),l.status&&(this.button?this.addToCartError(l):r&&(this.cartUpdateFailed=!0,this.updateErrorText(l.description||l.message),this.toggleErrorMessage()),this.removeLoadingClass(),!this.showCannotAddMoreInCart)||(this.button&&this.hideAddToCartErrorMessage(),this.cartDrawerEnabled?(this.getCart(),this.showCannotAddMoreInCart&&this.updateErrorText(this.variantTitle),this.scrollToCartTop()):window.location=window.theme.routes.cart_url),l)).catch(l=>{var h,b;return console.log(l),(h=this.button)==null||h.classList.remove("is-loading"),(b=this.button)==null||b.removeAttribute("disabled"),this.removeLoadingClass(),null}))}}function Jt(n){const t=n.prototype.assignArguments;n.prototype.assignArguments=function(){t.call(this),this.updateFreeShippingLimit()},n.prototype.updateFreeShippingLimit=function(){var e;(e=this.cartMessage)!=null&&e.length&&(this.cartFreeLimitShipping=nt(Number(this.cartMessage[0].getAttribute("data-limit"))),this.updateProgress())}}function Yt(n){const t=n.prototype.build;let e=!1;n.prototype.build=function(i){t.call(this,i),this.updateCartGoals()},n.prototype.updateCartGoals=function(){const i=document.querySelectorAll("cart-goals"),r=document.querySelectorAll("[data-cart-message]");i.length&&!this.cartMessage.length&&r.length&&(this.cartMessage=r,this.updateFreeShippingLimit()),i.length&&(i.forEach(s=>s.update(this.subtotal)),!y&&this.syncCartGoalGifts(i[0].getGiftGoals()))},n.prototype.syncCartGoalGifts=function(i){e||(e=!0,fetch(`${window.theme.routes.cart_url}.js`,{headers:{Accept:"application/json"}}).then(r=>r.json()).then(r=>{const s=r.items.filter(l=>{var h;return(h=l.properties)==null?void 0:h[C]}),a=s.reduce((l,h)=>l-h.final_line_price,r.total_price),o={},c=[];s.forEach(l=>{const h=i.find(b=>b.id===l.properties[C]);!h||a<h.amount?o[l.key]=0:l.quantity!==1&&(o[l.key]=1)}),i.forEach(l=>{!s.some(b=>b.properties[C]===l.id)&&a>=l.amount&&c.push({id:l.variant_id,quantity:1,properties:{[C]:l.id}})});const u=Object.keys(o).length>0;return!u&&!c.length?void 0:(u?this.postCartGoalGifts(window.theme.routes.cart_update_url,{updates:o}):Promise.resolve(!1)).then(l=>c.length?this.postCartGoalGifts(window.theme.routes.cart_add_url,{items:c}).then(h=>h||l):l).then(l=>{l&&this.getCart()})}).catch(r=>console.log(r)).finally(()=>{e=!1}))},n.prototype.postCartGoalGifts=function(i,r){return fetch(`${i}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify(r)}).then(s=>s.ok)}}function zt(n){const t=n.prototype.build;let e=!1;n.prototype.build=function(i){t.call(this,i),this.syncGiftWrap()},n.prototype.syncGiftWrap=function(){const i=document.querySelectorAll("cart-gift-wrap");if(!i.length)return;const r=Array.from(this.cart.querySelectorAll("[data-cart-item]")),s=r.filter(c=>c.hasAttribute("data-gift-wrap"));if(i.forEach(c=>c.update(s.length>0)),r.length>s.length||y)return;const a=Array.from(i).some(c=>c.hasAttributes());if(e||!s.length&&!a)return;e=!0;const o={};s.forEach(c=>{o[c.getAttribute("data-item")]=0}),i.forEach(c=>c.reset()),fetch(`${window.theme.routes.cart_update_url}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({updates:o,attributes:i[0].getAttributes()})}).then(()=>{s.length&&this.getCart()}).catch(c=>console.log(c)).finally(()=>{e=!1})}}function Xt(n){const t=n.prototype.connectedCallback,e=n.prototype.build,i=n.prototype.openCartDrawer,r=n.prototype.updateCartDiscounts,s=n.prototype.updateAndParse;let a=!1;Nt(),n.prototype.connectedCallback=function(){t.call(this),this.isCartPage&&this.applyPendingDiscount()},n.prototype.build=function(o){e.call(this,o),this.discountError&&this.discountRejection&&!this.shippingDiscountError&&this.discountErrorMessage&&(this.discountErrorMessage.textContent=this.discountRejection),y||this.applyPendingDiscount()},n.prototype.openCartDrawer=function(){i.call(this),this.isCartDrawerOpen&&this.applyPendingDiscount()},n.prototype.updateCartDiscounts=function(o,c=null){return this.attemptedDiscountCode=c,this.discountRejection="",r.call(this,o,c)},n.prototype.updateAndParse=async function(o,c){const u=await s.call(this,o,c),d=this.attemptedDiscountCode,l=(u.data.discount_codes||[]).find(h=>h.code===d);return K(d),l&&!l.applicable&&(this.discountRejection=await Qt(d,u.data)),u},n.prototype.applyPendingDiscount=function(){const o=ct();!o||a||!this.hasItemsInCart()||(a=!0,this.attemptedDiscountCode=null,this.applyDiscount(o).then(()=>{this.attemptedDiscountCode!==o&&K(o)}))}}function Bt(n){const t=n.prototype.connectedCallback;n.prototype.connectedCallback=function(){t.call(this),this.setupSaveForLater()},n.prototype.setupSaveForLater=function(){this.saveForLaterClick||(this.saveForLaterClick=e=>{const i=e.target.closest("[data-item-save]");!i||!this.contains(i)||(e.preventDefault(),this.saveForLater(i))},this.addEventListener("click",this.saveForLaterClick))},n.prototype.saveForLater=function(e){const i=e.closest("[data-cart-item]");if(!i||i.classList.contains("is-removed"))return;let r;try{r=JSON.parse(e.getAttribute("data-item-save"))}catch(c){console.warn("Failed to parse saved item:",c);return}const s=i.getAttribute("data-item"),a=i.getAttribute("data-item-title"),o=i.querySelector("[data-quantity-field]");this.pendingLineUpdates&&delete this.pendingLineUpdates[s],r.quantity=parseInt(o==null?void 0:o.value,10)||r.quantity,i.classList.add("is-loading"),this.disableCartButtons(),this.addLoadingClass(),fetch(`${window.theme.routes.cart_change_url}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({id:s,quantity:0})}).then(c=>c.json()).then(c=>{if(c.status)throw c;qt(r),this.getCart()}).catch(c=>{console.log(c),i.classList.remove("is-loading"),this.cartUpdateFailed=!0,this.updateErrorText(a),this.toggleErrorMessage(),this.enableCartButtons(),this.removeLoadingClass(),this.scrollToCartTop()})}}function Zt(n){const t=n.prototype.connectedCallback;n.prototype.connectedCallback=function(){t.call(this),this.setupLineEdit()},n.prototype.setupLineEdit=function(){this.lineEditClick||(this.lineEditClick=e=>{const i=e.target.closest("[data-item-edit]");!i||!this.contains(i)||(e.preventDefault(),this.toggleLineEdit(i))},this.addEventListener("click",this.lineEditClick))},n.prototype.toggleLineEdit=function(e){const i=e.closest("[data-cart-item]"),r=(i==null?void 0:i.querySelector(".cart__item__content"))||i,s=i==null?void 0:i.querySelector("cart-line-edit");if(!i)return;if(s){s.close();return}this.querySelectorAll("cart-line-edit").forEach(o=>o.close());const a=document.createElement("cart-line-edit");a.className="cart__item__edit",a.dataset.lineItem=e.getAttribute("data-item-edit"),e.setAttribute("aria-expanded","true"),r.appendChild(a)},n.prototype.swapLineItem=function(e,i,r){const s=e.getAttribute("data-item-title"),a=e.getAttribute("data-item"),o=(u,d)=>fetch(`${u}.js`,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify(d)}).then(l=>l.json());e.classList.add("is-loading"),this.disableCartButtons(),this.addLoadingClass(),(r.id===i.variant_id?o(window.theme.routes.cart_change_url,{id:a,quantity:r.quantity,properties:r.properties}):o(window.theme.routes.cart_add_url,{items:[r]}).then(u=>{if(u.status)throw u;return o(window.theme.routes.cart_change_url,{id:a,quantity:0})})).then(u=>{if(u.status)throw u;this.getCart()}).catch(u=>{console.log(u),this.cartUpdateFailed=!0,this.updateErrorText(s),this.toggleErrorMessage(),this.getCart(),this.scrollToCartTop()})}}function te(n){const t=n.prototype.connectedCallback,e=n.prototype.build;n.prototype.connectedCallback=function(){t.call(this),this.updateCartRecommendations()},n.prototype.build=function(i){e.call(this,i),this.updateCartRecommendations()},n.prototype.updateCartRecommendations=function(){var o;const i=(o=this.pairProductsHolder)==null?void 0:o.querySelector("[data-cart-recommendations]");if(!i)return;const r=Array.from(this.itemsHolder.querySelectorAll("[data-cart-item][data-product-id]")).map(c=>c.getAttribute("data-product-id")),s=parseInt(i.getAttribute("data-cart-recommendations"),10),a=(this.cartRecommendationsRequest||0)+1;if(this.cartRecommendationsRequest=a,!r.length){i.replaceChildren();return}Ht(r,s||4).then(c=>{a!==this.cartRecommendationsRequest||!i.isConnected||(i.replaceChildren(...c),this.renderPairProducts())})}}function ee(n){const t=n.prototype.build,e=n.prototype.openCartDrawer;let i=null;n.prototype.build=function(r){t.call(this,r),y||Dt({hasItems:this.newTotalItems>0})},n.prototype.openCartDrawer=function(){y||e.call(this)},window.addEventListener("theme:cart:added",r=>{y&&r.stopImmediatePropagation()},!0),Ut(({hasItems:r})=>{clearTimeout(i),i=setTimeout(()=>{document.querySelectorAll(".cart__toggle").forEach(s=>{s.classList.toggle("cart__toggle--has-items",!!r)}),document.querySelectorAll("cart-element").forEach(s=>s.refreshFromOtherTab())},100)}),n.prototype.isCartBusy=function(){var r;return!!(this.lineUpdatesRequest||Object.keys(this.pendingLineUpdates||{}).length||this.classList.contains("is-loading")||(r=this.itemsWrapper)!=null&&r.classList.contains("is-loading"))},n.prototype.refreshFromOtherTab=function(){this.isCartBusy()||(this.isCartDrawer&&!this.isCartDrawerLoaded&&this.renderCartDrawer(!1),fetch(`${window.theme.routes.cart_url}?section_id=api-cart-items`).then(r=>r.text()).then(r=>{if(this.isCartBusy())return;const s=document.createElement("div");s.innerHTML=r,y=!0;try{this.build(s.querySelector("[data-api-content]"))}finally{y=!1}}).catch(r=>console.log(r)))}}function ie(){customElements.whenDefined("cart-element").then(()=>{const n=customElements.get("cart-element");Gt(n),Kt(n),Wt(n),Jt(n),Yt(n),zt(n),Xt(n),Bt(n),Zt(n),te(n),ee(n),O("updateCart"),O("build"),O("openCartDrawer"),document.querySelectorAll("cart-element").forEach(t=>{t.updateFreeShippingLimit(),t.setupSaveForLater(),t.setupLineEdit(),t.updateCartRecommendations(),t.isCartPage&&t.applyPendingDiscount()})})}const ne={ł:"l",đ:"d",ø:"o",ß:"ss",æ:"ae",œ:"oe"},lt=4;let f=null;function m(n){return String(n||"").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g,"").replace(/[łđøßæœ]/g,t=>ne[t]).replace(/\s+/g," ").trim()}function re(){if(f)return f;f={terms:new Map,words:new Map};const n=document.querySelector("[data-search-dictionary]");if(!n)return f;let t;try{t=JSON.parse(n.textContent)}catch(e){return console.warn("Failed to parse search dictionary:",e),f}return(t.synonyms||[]).forEach(({term:e,synonyms:i})=>{e&&[e,...i||[]].forEach(r=>{f.terms.set(m(r),e)})}),[...t.vocabulary||[],...f.terms.values()].forEach(e=>{String(e).split(/\s+/).filter(i=>i.length>=lt).forEach(i=>{const r=m(i);f.words.has(r)||f.words.set(r,i.toLowerCase())})}),f}function se(n,t){const e=Array.from({length:n.length+1},(i,r)=>Array.from({length:t.length+1},(s,a)=>r===0?a:r));for(let i=1;i<=n.length;i++)for(let r=1;r<=t.length;r++){const s=n[i-1]===t[r-1]?0:1;e[i][r]=Math.min(e[i-1][r]+1,e[i][r-1]+1,e[i-1][r-1]+s),i>1&&r>1&&n[i-1]===t[r-2]&&n[i-2]===t[r-1]&&(e[i][r]=Math.min(e[i][r],e[i-2][r-2]+1))}return e[n.length][t.length]}function ae(n,t){if(t.has(n))return t.get(n);if(n.length<lt)return null;const e=n.length>6?2:1;let i=null,r=e+1;return t.forEach((s,a)=>{if(Math.abs(a.length-n.length)>e)return;const o=se(n,a);o<r&&(i=s,r=o)}),i}function oe(n){const{terms:t,words:e}=re(),i=m(n);if(!i)return null;let r=t.get(i);return r||(r=i.split(" ").map(s=>t.get(s)||ae(s,e)||s).join(" ")),r.toLowerCase()===n.trim().toLowerCase()?null:r}function ce(n){const t=n.matches("a")?n:n.querySelector("a[href]");return t?t.hasAttribute("data-search-term")?!0:new URL(t.href,window.location.origin).pathname===window.theme.routes.searchUrl:!1}function le(n){const t=n.matches("a")?n:n.querySelector("a"),e=t==null?void 0:t.querySelector("[aria-label]");return((t==null?void 0:t.dataset.searchTerm)||(e==null?void 0:e.getAttribute("aria-label"))||(t==null?void 0:t.textContent)||"").trim()}function ue(n){const t=n.prototype.handleFocusableDescendants;n.prototype.switchOption=function(){},n.prototype.selectOption=function(){},n.prototype.handleFocusableDescendants=function(e=!1){e&&(this.typedQuery=void 0),t.call(this,e)},n.prototype.getComboboxOptions=function(){const i=this.classList.contains("is-searched")&&this.predictiveSearchResults&&this.hasAttribute("open")?this.predictiveSearchResults:this.popularSearches;return i?Array.from(i.querySelectorAll('[role="option"]')).filter(r=>r.offsetParent!==null):[]},n.prototype.onComboboxKeydown=function(e){const i=this.getComboboxOptions(),r=i.indexOf(this.activeElement),s=r!==-1;switch(e.code){case"ArrowDown":case"ArrowUp":{if(e.preventDefault(),!i.length){this.getAttribute("results")==="true"&&this.open();return}const a=e.code==="ArrowDown"?1:-1,o=s?r+a:a>0?0:i.length-1;this.setActiveOption(i[o]||null);break}case"Home":case"End":if(!s)return;e.preventDefault(),this.setActiveOption(e.code==="Home"?i[0]:i[i.length-1]);break;case"Enter":case"NumpadEnter":{if(!s)return;e.preventDefault();const a=this.activeElement,o=a.matches("a, button")?a:a.querySelector("a, button");o==null||o.click();break}case"Escape":if(s)this.setActiveOption(null);else if(this.predictiveSearch&&this.hasAttribute("open"))this.close();else return;e.preventDefault(),this.isEscapeHandled=!0;break}},n.prototype.setActiveOption=function(e,i=!0){if(this.typedQuery===void 0&&(this.typedQuery=this.input.value),this.querySelectorAll('[role="option"][aria-selected="true"]').forEach(r=>r.setAttribute("aria-selected","false")),this.activeElement=e,this.selectedElement=e,!e){this.input.setAttribute("aria-activedescendant",""),i&&this.typedQuery!==void 0&&(this.input.value=this.typedQuery),this.typedQuery=void 0;return}e.setAttribute("aria-selected","true"),e.scrollIntoView({block:"nearest"}),this.input.setAttribute("aria-activedescendant",e.id),this.input.value=ce(e)?le(e):this.typedQuery,this.statusElement&&(this.statusElement.textContent="")}}function de(n){const t=n.prototype.renderSearchResults,e=n.prototype.open,i=n.prototype.closeResults;n.prototype.renderSearchResults=function(r){t.call(this,r);const s=`--${this.predictiveSearchResults.parentElement.id}`,a=this.predictiveSearchResults.querySelector("[data-search-results-wrapper]");this.predictiveSearchResults.querySelectorAll("[id]").forEach(o=>{o!==a&&(o.id=`${o.id}${s}`)}),this.predictiveSearchResults.querySelectorAll("[aria-labelledby]").forEach(o=>{const c=o.getAttribute("aria-labelledby").split(" ");o.setAttribute("aria-labelledby",c.map(u=>`${u}${s}`).join(" "))}),a&&this.input.setAttribute("aria-controls",a.id),this.activeElement=null,this.selectedElement=null,this.typedQuery=void 0,this.input.setAttribute("aria-activedescendant","")},n.prototype.open=function(){e.call(this),this.input.setAttribute("aria-expanded","true")},n.prototype.closeResults=function(r=!1){this.activeElement&&this.setActiveOption(null),i.call(this,r),this.input.setAttribute("aria-expanded","false")}}function he(n){const t=document.createElement("div");t.innerHTML=n;const e=t.querySelector("[data-search-results-wrapper]");return e?{terms:e.dataset.searchTerms||"",count:parseInt(e.dataset.resultsCount,10)||0}:null}function pe(n){const t=n.prototype.renderSearchResults;n.prototype.renderSearchResults=function(e){const i=he(e),r=this.searchExpansion;if(r&&i&&m(i.terms)===m(r.expanded)){if(this.searchExpansion=null,r.query!==this.searchTerm)return;if(!i.count){t.call(this,r.resultsMarkup);return}t.call(this,e),this.renderExpansionNotice(r);return}if(i&&m(i.terms)===m(this.searchTerm)&&!i.count){const o=oe(this.searchTerm);if(o){this.searchExpansion={query:this.searchTerm,expanded:o,resultsMarkup:e},this.getSearchResults(o);return}}t.call(this,e)},n.prototype.renderExpansionNotice=function({query:e,expanded:i}){var a;const r=this.predictiveSearchResults.querySelector("[data-search-results-wrapper]"),s=document.createElement("p");s.className="predictive-search__notice",s.textContent=p(window.theme.strings.search_showing_results_for,{query:e,terms:i}),r==null||r.before(s),this.setLiveRegionText(`${s.textContent} ${((a=this.statusElement)==null?void 0:a.textContent)||""}`.trim())}}function R(n){var e,i;const t=(i=(e=n.target).closest)==null?void 0:i.call(e,"search-form, predictive-search");return(t==null?void 0:t.input)===n.target?t:null}function fe(){customElements.whenDefined("search-form").then(()=>{ue(customElements.get("search-form")),document.addEventListener("keydown",n=>{var t;(t=R(n))==null||t.onComboboxKeydown(n)}),document.addEventListener("keyup",n=>{const t=R(n);n.code!=="Escape"||!(t!=null&&t.isEscapeHandled)||(n.stopPropagation(),t.isEscapeHandled=!1)},!0),document.addEventListener("input",n=>{var t;(t=R(n))==null||t.setActiveOption(null,!1)})}),customElements.whenDefined("predictive-search").then(()=>{const n=customElements.get("predictive-search");de(n),pe(n)})}const j="theme:search-history",me=10;function W(n){return n.url?`url:${n.url}`:`term:${n.term.toLowerCase()}`}function ge(n){return!n||typeof n!="object"?!1:n.url?typeof n.url=="string"&&typeof n.title=="string":typeof n.term=="string"&&n.term.trim()!==""}function ut(){try{const n=JSON.parse(window.localStorage.getItem(j)||"[]");return Array.isArray(n)?n.filter(ge):[]}catch(n){return console.warn("Failed to parse search history:",n),[]}}function ye(n){try{window.localStorage.setItem(j,JSON.stringify(n))}catch(t){console.warn("Failed to store search history:",t)}}function dt(n){const t=W(n),e=ut().filter(i=>W(i)!==t);ye([n,...e].slice(0,me))}function H(n){const t=String(n||"").trim();t&&dt({term:t})}function Se(n,t){const e=String(n||"").trim();!e||!t||dt({title:e,url:new URL(t,window.location.origin).pathname})}function be(){try{window.localStorage.removeItem(j)}catch(n){console.warn("Failed to clear search history:",n)}}const we="theme:search:redirect";let g=null;function ve(){if(g)return g;g=[];const n=document.querySelector("[data-search-redirects]");if(!n)return g;let t;try{t=JSON.parse(n.textContent)}catch(e){return console.warn("Failed to parse search redirects:",e),g}return(Array.isArray(t)?t:[]).forEach(({query:e,match:i,url:r})=>{if(!e||!r)return;if(i==="regex"){try{const a=new RegExp(e,"i");g.push({test:o=>a.test(o),url:r})}catch(a){console.warn("Failed to parse search redirect pattern:",a)}return}const s=m(e);g.push({test:i==="prefix"?a=>m(a).startsWith(s):a=>m(a)===s,url:r})}),g}function ht(n){var e;const t=String(n||"").trim();return t&&((e=ve().find(i=>i.test(t)))==null?void 0:e.url)||null}function I(n,t,e=!1){var s,a,o;const i=ht(n);if(!i)return!1;const r={query:String(n).trim(),url:i,source:t};return document.dispatchEvent(new CustomEvent(we,{detail:r})),(o=(a=(s=window.Shopify)==null?void 0:s.analytics)==null?void 0:a.publish)==null||o.call(a,"search_redirect",r),e?window.location.replace(i):window.location.assign(i),!0}const F=new Map;function Ce(n){return F.has(n)||F.set(n,fetch(n).then(t=>t.ok?t.json():[]).then(t=>(Array.isArray(t)?t:[]).map(e=>typeof e=="string"?{term:e}:e).filter(e=>typeof(e==null?void 0:e.term)=="string"&&e.term)).catch(t=>(console.log(t),[]))),F.get(n)}function J(n,t){const e=document.createElement("div"),i=document.createElement("a");return e.className="predictive-search__item",e.id=t,e.setAttribute("role","option"),e.setAttribute("aria-selected","false"),i.className="predictive-search__link",i.tabIndex=-1,n.url?(i.href=n.url,i.textContent=n.title||n.term):(i.href=`${window.theme.routes.searchUrl}?q=${encodeURIComponent(n.term)}`,i.textContent=n.term,i.dataset.searchTerm=n.term),e.append(i),e}function Ee(n){const t=new URL(n.href,window.location.origin);if(t.pathname===window.theme.routes.searchUrl){H(t.searchParams.get("q"));return}Se(n.getAttribute("aria-label")||n.textContent,n.href)}function Le(){customElements.whenDefined("search-form").then(()=>{const n=customElements.get("search-form"),t=n.prototype.submit;n.prototype.submit=function(){const e=this.getQuery();H(e),!I(e,"submit")&&t.call(this)}}),document.addEventListener("submit",n=>{if(n.defaultPrevented)return;const t=n.target.closest("search-form, predictive-search");if(!t)return;const e=t.getQuery();H(e),I(e,"submit")&&n.preventDefault()}),qe()}function qe(){const{searchUrl:n}=window.theme.routes;if(window.location.pathname!==n)return;const t=new URLSearchParams(window.location.search).get("q"),e=ht(t);!e||new URL(e,window.location.origin).pathname===n||I(t,"landing",!0)}function Ae(){Le(),customElements.whenDefined("search-popdown").then(()=>{const n=customElements.get("search-popdown"),t=n.prototype.connectedCallback;n.prototype.connectedCallback=function(){t.call(this),this.setupSearchHistory()},n.prototype.setupSearchHistory=function(){this.searchHistoryClick||(this.recentSearches=this.querySelector("[data-recent-searches]"),this.trendingSearches=this.querySelector("[data-trending-searches]"),this.searchHistoryClick=e=>this.onSearchHistoryClick(e),this.searchHistoryFocus=()=>this.renderRecentSearches(),this.addEventListener("click",this.searchHistoryClick),this.addEventListener("focusin",this.searchHistoryFocus),this.renderRecentSearches(),this.renderTrendingSearches())},n.prototype.onSearchHistoryClick=function(e){const i=e.target.closest("[data-recent-searches-clear]"),r=e.target.closest("[data-search-term]"),s=e.target.closest("[data-predictive-search-results] a[href]");if(i){e.preventDefault(),be(),this.renderRecentSearches(),this.searchFormWrapper.handleFocusableDescendants(!0),this.searchFormWrapper.input.focus();return}if(r){e.preventDefault(),this.searchFormWrapper.input.value=r.dataset.searchTerm,this.searchFormWrapper.submit();return}if(!s)return;Ee(s);const a=new URL(s.href,window.location.origin);a.pathname===window.theme.routes.searchUrl&&I(a.searchParams.get("q"),"suggestion")&&e.preventDefault()},n.prototype.renderRecentSearches=function(){if(!this.recentSearches)return;const e=parseInt(this.recentSearches.dataset.limit,10)||5,i=ut().slice(0,e),r=JSON.stringify(i);r!==this.recentSearchesKey&&(this.recentSearchesKey=r,this.recentSearches.querySelector("[data-recent-searches-list]").replaceChildren(...i.map((s,a)=>J(s,`${this.recentSearches.id}-${a+1}`))),this.recentSearches.hidden=!i.length)},n.prototype.renderTrendingSearches=function(){var r;const e=(r=this.trendingSearches)==null?void 0:r.dataset.trendingSearchesUrl;if(!e)return;const i=parseInt(this.trendingSearches.dataset.limit,10)||15;Ce(e).then(s=>{this.trendingSearches.querySelector("[data-trending-searches-list]").replaceChildren(...s.slice(0,i).map((a,o)=>J(a,`${this.trendingSearches.id}-${o+1}`))),this.trendingSearches.hidden=!s.length})},document.querySelectorAll("search-popdown").forEach(e=>e.setupSearchHistory())})}const _e="api-search-count",L=new Map;function ke(n,t){const e=new URLSearchParams({q:n,"options[prefix]":"last",type:t,section_id:_e}),i=`${window.theme.routes.searchUrl}?${e}`;return L.has(i)||L.set(i,fetch(i).then(r=>r.ok?r.text():"").then(r=>{var o;const s=document.createElement("div");s.innerHTML=r;const a=parseInt((o=s.querySelector("[data-search-count]"))==null?void 0:o.textContent,10);return Number.isNaN(a)?null:a}).catch(r=>(console.log(r),L.delete(i),null))),L.get(i)}function Ie(n){const t=new URLSearchParams(n);return[...t.entries()].forEach(([e,i])=>{i===""&&t.delete(e)}),t.delete("page"),t.set("type","product"),t.toString()}function Te(){customElements.whenDefined("collection-filters").then(()=>{const n=customElements.get("collection-filters"),t=n.prototype.renderSection;n.prototype.renderSection=function(e,...i){t.call(this,this.isSearchPage?Ie(e):e,...i)}})}function Pe(){Te(),customElements.whenDefined("tabs-component").then(()=>{const n=customElements.get("tabs-component");n.prototype.setupSearchCounts=function(){if(!this.isSearchPage||this.searchCountLinks)return;const{searchTerms:t}=this.closest("[data-search-performed]").dataset;this.searchCountLinks=Array.from(this.querySelectorAll("[data-tabs-link][data-type]"));const e=this.searchCountLinks.map(i=>{const{type:r}=i.dataset;return r===this.currentType?Promise.resolve(null):ke(t,r).then(s=>{const a=i.querySelector("[data-search-count]");return a&&s!==null&&(a.textContent=`(${s})`),s})});this.searchForAllTypes&&Promise.all(e).then(i=>{const r=this.searchCountLinks[i.findIndex(s=>s)];r&&this.openSearchTab(r)})},n.prototype.openSearchTab=function(t){const e=this.querySelector(`[data-tab="${t.getAttribute("data-tabs-link")}"]`);!e||this.querySelector(".current[data-tabs-link]")||(this.handleURLSearchParams({target:t},!1),history.replaceState({searchParams:this.searchParams},"",`${window.location.pathname}?${this.searchParams}`),this.tabChange(t,e))},document.querySelectorAll("tabs-component").forEach(t=>t.setupSearchCounts())})}function xe(){customElements.whenDefined("variant-selects").then(()=>{const n=customElements.get("variant-selects"),t=n.prototype.connectedCallback,e=n.prototype.disconnectedCallback;n.prototype.connectedCallback=function(){t&&t.call(this),this.setupProductState()},n.prototype.disconnectedCallback=function(){this.productStateObserver&&(this.productStateObserver.disconnect(),this.productStateObserver=null),e&&e.call(this)},n.prototype.setupProductState=function(){this.productStateObserver||(this.productScope=P(this),this.productStateObserver=new MutationObserver(()=>this.publishProductState()),this.productStateObserver.observe(this,{childList:!0,subtree:!0,characterData:!0}),this.publishProductState())},n.prototype.publishProductState=function(){const i=this.querySelector("[data-selected-variant]");if(i)try{const r=JSON.parse(i.textContent);St(this.productScope,{variant:r||null,selectedOptionValues:this.selectedOptionValues})}catch(r){console.warn("Failed to parse variant data:",r)}},document.querySelectorAll("variant-selects").forEach(i=>i.setupProductState())})}xe();ie();vt();Ae();fe();Pe();typeof window<"u"&&(window.KitBuilder=Z);
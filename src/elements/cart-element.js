@@ -0,0 +1,1219 @@
+import { CART_GOAL_GIFT_PROPERTY } from "./cart-goals.js";
+import { getCartRecommendations } from "../utils/cart-recommendations.js";
+import { publishCartChange, subscribeCartChanges } from "../utils/cart-sync.js";
+import {
+  clearPendingDiscountCode,
+  getDiscountRejection,
+  getPendingDiscountCode,
+  storeLinkedDiscountCode,
+} from "../utils/discount-codes.js";
+import { getFreeShippingLimit } from "../utils/free-shipping.js";
+import { formatMoney } from "../utils/money.js";
+import { validateFormQuantity } from "./quantity-counter.js";
+import { addSavedItem } from "../utils/saved-for-later.js";
+
+/**
+ * CartElement extensions
+ * The theme's cart-element is defined in theme.js, its prototype is extended here
+ * so the vendor bundle stays untouched.
+ */
+
+// Set while a cart changed in another tab renders, see extendCrossTabSync
+let isRenderingOtherTab = false;
+
+/**
+ * Rebind a prototype method on cart elements connected before the extension
+ * CartElement binds its methods in connectedCallback, so existing instances keep the original
+ * @param {String} methodName - Name of the prototype method
+ */
+function rebindCartMethod(methodName) {
+  document.querySelectorAll("cart-element").forEach((cart) => {
+    if (Object.prototype.hasOwnProperty.call(cart, methodName)) {
+      cart[methodName] = cart.constructor.prototype[methodName].bind(cart);
+    }
+  });
+}
+
+/**
+ * Extend cart-element with pattern kit groups
+ * Quantity changes and removal of a kit line cascade to every line of the same kit
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendKitGroups(CartElementBase) {
+  const originalUpdateCart = CartElementBase.prototype.updateCart;
+
+  CartElementBase.prototype.updateCart = function (
+    updateData = {},
+    currentItem = null
+  ) {
+    const item =
+      this.cart.querySelector(`[data-item="${updateData.id}"]`) || currentItem;
+    const kitId = item?.dataset.kitId;
+
+    if (!kitId) {
+      return originalUpdateCart.call(this, updateData, currentItem);
+    }
+
+    this.updateKit(kitId, updateData, item);
+  };
+
+  /**
+   * Update every line of a kit in one request, scaled to the changed line
+   * @param {String} kitId - Shared kit id of the lines
+   * @param {Object} updateData - Changed line id and quantity
+   * @param {HTMLElement} changedItem - Changed line item element
+   */
+  CartElementBase.prototype.updateKit = function (
+    kitId,
+    updateData,
+    changedItem
+  ) {
+    const kitItems = Array.from(
+      this.cart.querySelectorAll("[data-cart-item][data-kit-id]")
+    ).filter((kitItem) => kitItem.dataset.kitId === kitId);
+    const baseQuantity = parseInt(changedItem.dataset.kitQuantity, 10) || 1;
+    const newQuantity = parseInt(updateData.quantity, 10) || 0;
+    const itemTitle = changedItem.getAttribute("data-item-title");
+    const updates = {};
+
+    kitItems.forEach((kitItem) => {
+      const itemQuantity = parseInt(kitItem.dataset.kitQuantity, 10) || 0;
+
+      // Components keep their ratio to the changed line, e.g. 5 skeins per pattern
+      updates[kitItem.dataset.item] =
+        newQuantity === 0
+          ? 0
+          : Math.max(
+              Math.round((itemQuantity * newQuantity) / baseQuantity),
+              1
+            );
+
+      kitItem.classList.add(newQuantity ? "is-loading" : "is-removed");
+    });
+
+    this.disableCartButtons();
+    this.addLoadingClass();
+
+    fetch(`${window.theme.routes.cart_update_url}.js`, {
+      method: "post",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({ updates }),
+    })
+      .then((response) =>
+        response.json().then((data) => ({ ok: response.ok, data }))
+      )
+      .then(({ ok, data }) => {
+        if (!ok || data.status) {
+          this.cartUpdateFailed = true;
+          this.updateErrorText(itemTitle);
+          this.toggleErrorMessage();
+          kitItems.forEach((kitItem) => {
+            kitItem.classList.remove("is-loading", "is-removed");
+
+            // Kit components have no quantity field to reset
+            if (kitItem.querySelector("[data-quantity-field]")) {
+              this.resetLineItem(kitItem);
+            }
+          });
+          this.enableCartButtons();
+          this.removeLoadingClass();
+          this.scrollToCartTop();
+
+          return;
+        }
+
+        this.getCart();
+      })
+      .catch((error) => {
+        console.log(error);
+        this.enableCartButtons();
+        this.removeLoadingClass();
+      });
+  };
+}
+
+/**
+ * Extend cart-element with optimistic quantity updates
+ * Quantities, line prices, the subtotal and the cart goals render at once from the line prices,
+ * the changes are coalesced into one cart/update request and the lines roll back when it's rejected.
+ * Kit lines wait for the cart request instead, the quantities of their components depend on each other.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendOptimisticUpdates(CartElementBase) {
+  const originalUpdateCart = CartElementBase.prototype.updateCart;
+  const originalBuild = CartElementBase.prototype.build;
+
+  // Quick clicks on the quantity buttons end up in one request
+  const UPDATE_DELAY = 300;
+
+  CartElementBase.prototype.updateCart = function (
+    updateData = {},
+    currentItem = null
+  ) {
+    const item =
+      this.cart.querySelector(`[data-item="${updateData.id}"]`) || currentItem;
+
+    if (!item?.querySelector("[data-quantity-field]") || item.dataset.kitId) {
+      return originalUpdateCart.call(this, updateData, currentItem);
+    }
+
+    this.queueLineUpdate(item, parseInt(updateData.quantity, 10) || 0);
+  };
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    this.confirmedSubtotal = this.subtotal;
+    this.applyPendingLineUpdates();
+  };
+
+  /**
+   * Render a quantity change at once and queue it
+   * @param {HTMLElement} item - Line item element
+   * @param {Number} quantity - New quantity
+   */
+  CartElementBase.prototype.queueLineUpdate = function (item, quantity) {
+    if (this.confirmedSubtotal === undefined) {
+      this.confirmedSubtotal = this.subtotal;
+    }
+
+    this.pendingLineUpdates = this.pendingLineUpdates || {};
+    this.pendingLineUpdates[item.getAttribute("data-item")] = quantity;
+
+    this.toggleLineError(item, false);
+    this.renderLineQuantity(item, quantity);
+    this.renderOptimisticTotals();
+
+    clearTimeout(this.lineUpdatesTimer);
+    this.lineUpdatesTimer = setTimeout(
+      () => this.flushLineUpdates(),
+      UPDATE_DELAY
+    );
+  };
+
+  /**
+   * Send the queued quantities, one request at a time
+   * The cart renders from the server once no more changes are queued
+   */
+  CartElementBase.prototype.flushLineUpdates = function () {
+    const updates = this.pendingLineUpdates || {};
+
+    // Flushed again once the request in flight settles
+    if (this.lineUpdatesRequest || !Object.keys(updates).length) return;
+
+    this.pendingLineUpdates = {};
+
+    this.lineUpdatesRequest = fetch(
+      `${window.theme.routes.cart_update_url}.js`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ updates }),
+      }
+    )
+      .then((response) =>
+        response.json().then((data) => ({ ok: response.ok, data }))
+      )
+      .then(({ ok, data }) => {
+        if (!ok || data.status) {
+          this.rollbackLineUpdates(updates, data.description);
+        }
+      })
+      .catch((error) => {
+        console.log(error);
+        this.rollbackLineUpdates(updates);
+      })
+      .finally(() => {
+        this.lineUpdatesRequest = null;
+
+        if (Object.keys(this.pendingLineUpdates).length) {
+          this.flushLineUpdates();
+        } else {
+          this.getCart();
+        }
+      });
+  };
+
+  /**
+   * Put the rejected lines back to their confirmed quantities and show the error under them
+   * @param {Object} updates - Rejected quantities by line key
+   * @param {String} message - Error description of the Cart API, the line's default error otherwise
+   */
+  CartElementBase.prototype.rollbackLineUpdates = function (updates, message) {
+    this.lineUpdateErrors = this.lineUpdateErrors || {};
+
+    Object.keys(updates).forEach((key) => {
+      const item = this.cart.querySelector(`[data-item="${key}"]`);
+      const field = item?.querySelector("[data-quantity-field]");
+
+      // A newer quantity of the line is still queued
+      if (!field || key in this.pendingLineUpdates) return;
+
+      this.lineUpdateErrors[key] = message;
+      this.renderLineQuantity(item, parseInt(field.getAttribute("value"), 10));
+      this.toggleLineError(item, true, message);
+    });
+
+    this.renderOptimisticTotals();
+  };
+
+  /**
+   * Keep the queued quantities and the errors when the lines are rendered again
+   */
+  CartElementBase.prototype.applyPendingLineUpdates = function () {
+    const pendingLineUpdates = this.pendingLineUpdates || {};
+    const lineUpdateErrors = this.lineUpdateErrors || {};
+
+    Object.entries(lineUpdateErrors).forEach(([key, message]) => {
+      const item = this.cart.querySelector(`[data-item="${key}"]`);
+      if (item) this.toggleLineError(item, true, message);
+    });
+    this.lineUpdateErrors = {};
+
+    Object.entries(pendingLineUpdates).forEach(([key, quantity]) => {
+      const item = this.cart.querySelector(`[data-item="${key}"]`);
+      if (item) this.renderLineQuantity(item, quantity);
+    });
+
+    if (Object.keys(pendingLineUpdates).length) {
+      this.renderOptimisticTotals();
+    }
+  };
+
+  /**
+   * Render the quantity and the line price of a line
+   * @param {HTMLElement} item - Line item element
+   * @param {Number} quantity - Quantity to render
+   */
+  CartElementBase.prototype.renderLineQuantity = function (item, quantity) {
+    const field = item.querySelector("[data-quantity-field]");
+    const select = item.querySelector("[data-quantity-select]");
+    const linePrice = item.querySelector("[data-item-line-price]");
+    const price = Number(item.getAttribute("data-item-price")) || 0;
+
+    field.value = quantity;
+    if (select) select.textContent = quantity;
+
+    item.classList.toggle("is-removed", quantity === 0);
+
+    if (linePrice) {
+      linePrice.hidden = quantity < 2;
+      linePrice.querySelector("[data-item-line-price-value]").textContent =
+        formatMoney(price * quantity);
+    }
+  };
+
+  /**
+   * Count the items of the rendered lines, like the server's item count
+   * The theme only counts the quantity fields, lines without one count at their confirmed quantity
+   * @returns {Number} Item count
+   */
+  CartElementBase.prototype.getCartItemCount = function () {
+    if (!this.cart) return 0;
+
+    return Array.from(this.cart.querySelectorAll("[data-cart-item]")).reduce(
+      (total, item) => {
+        const field = item.querySelector("[data-quantity-field]");
+        const quantity = field ? field.value : item.dataset.itemQuantity;
+
+        return total + (parseInt(quantity, 10) || 0);
+      },
+      0
+    );
+  };
+
+  /**
+   * Render the subtotal, item count, free shipping progress and cart goals of the rendered quantities
+   * The server subtotal is corrected by the difference of every line to its confirmed quantity
+   */
+  CartElementBase.prototype.renderOptimisticTotals = function () {
+    let subtotal = this.confirmedSubtotal || 0;
+    let count = 0;
+
+    this.cart.querySelectorAll("[data-cart-item]").forEach((item) => {
+      const field = item.querySelector("[data-quantity-field]");
+
+      // Kit components have no field, they count at their confirmed quantity
+      if (!field) {
+        count += parseInt(item.dataset.itemQuantity, 10) || 0;
+        return;
+      }
+
+      const price = Number(item.getAttribute("data-item-price")) || 0;
+      const quantity = parseInt(field.value, 10) || 0;
+      const confirmedQuantity = parseInt(field.getAttribute("value"), 10) || 0;
+
+      subtotal += (quantity - confirmedQuantity) * price;
+      count += quantity;
+    });
+
+    this.subtotal = Math.max(subtotal, 0);
+
+    if (this.cartTotalPrice) {
+      this.cartTotalPrice.innerHTML =
+        this.subtotal === 0
+          ? window.theme.strings.free
+          : window.theme.formatMoney(
+              this.subtotal,
+              window.theme.moneyWithCurrencyFormat
+            );
+    }
+
+    this.updateItemsQuantity(count);
+
+    if (this.cartMessage.length > 0) {
+      this.updateProgress();
+    }
+
+    // Gifts are synced once the cart renders from the server
+    document
+      .querySelectorAll("cart-goals")
+      .forEach((goals) => goals.update(this.subtotal));
+  };
+
+  /**
+   * Show or hide the inline error of a line
+   * @param {HTMLElement} item - Line item element
+   * @param {Boolean} isVisible - Whether to show the error
+   * @param {String} message - Error message, the rendered default otherwise
+   */
+  CartElementBase.prototype.toggleLineError = function (
+    item,
+    isVisible,
+    message
+  ) {
+    const error = item.querySelector("[data-item-error]");
+    if (!error) return;
+
+    if (isVisible && message) error.textContent = message;
+    error.hidden = !isVisible;
+  };
+}
+
+/**
+ * Extend cart-element with a public API to add several items in one request
+ * Mirrors CartElement.addToCart, so the loading state, inline errors and drawer rendering match ordinary adds
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendAddItems(CartElementBase) {
+  /**
+   * Add items to the cart
+   * @param {Array<Object>} items - /cart/add.js items, e.g. { id, quantity, properties }
+   * @param {Object} options - Add options
+   * @param {HTMLElement} options.button - Add to cart button, used for the loading state and the error container
+   * @param {Boolean} options.showError - Whether a failed add without a button shows the cart's error, callers with their own message turn it off
+   * @returns {Promise<Object|null>} Cart add response, with a status when the add failed or the form quantity breaks its rule
+   */
+  CartElementBase.prototype.addItems = function (items, options = {}) {
+    const { button = null, showError = true } = options;
+
+    // Adds from a product form, e.g. kits, skip theme:cart:add and its quantity guard
+    const quantityError = validateFormQuantity(button?.closest("form"));
+    if (quantityError) {
+      return Promise.resolve({ status: 422, description: quantityError });
+    }
+
+    this.button = button;
+    this.form = button?.closest("form") || null;
+    this.recipientErrors = false;
+    this.variantTitle = this.form?.getAttribute("data-variant-title");
+    this.showCannotAddMoreInCart =
+      this.form?.getAttribute("data-max-inventory-reached") === "true" &&
+      this.form?.getAttribute("data-error-message-position") === "cart";
+
+    window.theme.closeAllTooltips?.();
+
+    if (this.cartDrawerEnabled && this.button) {
+      this.button.classList.add("is-loading");
+      this.button.setAttribute("disabled", true);
+    }
+
+    return fetch(`${window.theme.routes.cart_add_url}.js`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "X-Requested-With": "XMLHttpRequest",
+      },
+      body: JSON.stringify({ items }),
+    })
+      .then((response) => response.json())
+      .then((response) => {
+        if (this.button) this.button.disabled = true;
+        this.addLoadingClass();
+
+        if (response.status) {
+          // Inventory errors name the component that couldn't be added
+          // Adds without a button, e.g. from the cart itself, show it in the cart's error
+          if (this.button) {
+            this.addToCartError(response);
+          } else if (showError) {
+            this.cartUpdateFailed = true;
+            this.updateErrorText(response.description || response.message);
+            this.toggleErrorMessage();
+          }
+          this.removeLoadingClass();
+          if (!this.showCannotAddMoreInCart) return response;
+        }
+
+        if (this.button) this.hideAddToCartErrorMessage();
+
+        if (this.cartDrawerEnabled) {
+          this.getCart();
+          if (this.showCannotAddMoreInCart) {
+            this.updateErrorText(this.variantTitle);
+          }
+          this.scrollToCartTop();
+        } else {
+          window.location = window.theme.routes.cart_url;
+        }
+
+        return response;
+      })
+      .catch((error) => {
+        console.log(error);
+        this.button?.classList.remove("is-loading");
+        this.button?.removeAttribute("disabled");
+        this.removeLoadingClass();
+
+        return null;
+      });
+  };
+}
+
+/**
+ * Extend cart-element with free shipping thresholds per market
+ * The theme converts the data-limit at the raw currency rate whenever it assigns its elements, the
+ * threshold table and rounding rules of the cart settings replace it for the Markets context of the page.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendFreeShippingLimit(CartElementBase) {
+  const originalAssignArguments = CartElementBase.prototype.assignArguments;
+
+  // Runs on connect and on every drawer render, once the template content is in place
+  CartElementBase.prototype.assignArguments = function () {
+    originalAssignArguments.call(this);
+
+    this.updateFreeShippingLimit();
+  };
+
+  /**
+   * Resolve the free shipping threshold of the current market and update the message
+   */
+  CartElementBase.prototype.updateFreeShippingLimit = function () {
+    if (!this.cartMessage?.length) return;
+
+    this.cartFreeLimitShipping = getFreeShippingLimit(
+      Number(this.cartMessage[0].getAttribute("data-limit"))
+    );
+    this.updateProgress();
+  };
+}
+
+/**
+ * Extend cart-element with tiered cart goals
+ * The goals replace the single threshold free shipping message in the cart. Gift goals add their
+ * gift when reached and remove it again when the subtotal drops below the goal.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendCartGoals(CartElementBase) {
+  const originalBuild = CartElementBase.prototype.build;
+  let isSyncingGifts = false;
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    this.updateCartGoals();
+  };
+
+  /**
+   * Update the cart goals with the rendered subtotal and sync the gifts
+   */
+  CartElementBase.prototype.updateCartGoals = function () {
+    const cartGoals = document.querySelectorAll("cart-goals");
+
+    // The announcement bar keeps the single free shipping message when the cart shows goals
+    const cartMessages = document.querySelectorAll("[data-cart-message]");
+    if (cartGoals.length && !this.cartMessage.length && cartMessages.length) {
+      this.cartMessage = cartMessages;
+      this.updateFreeShippingLimit();
+    }
+
+    if (!cartGoals.length) return;
+
+    cartGoals.forEach((goals) => goals.update(this.subtotal));
+
+    // The tab which changed the cart syncs the gifts
+    if (isRenderingOtherTab) return;
+
+    this.syncCartGoalGifts(cartGoals[0].getGiftGoals());
+  };
+
+  /**
+   * Add the gifts of reached goals and remove the gifts of goals no longer reached
+   * Gift lines don't count towards the goals, so an unpaid gift can't keep its own goal reached
+   * @param {Array<Object>} giftGoals - Goals rewarded with a gift variant
+   */
+  CartElementBase.prototype.syncCartGoalGifts = function (giftGoals) {
+    // Every cart-element renders after a change, the first one syncs
+    if (isSyncingGifts) return;
+    isSyncingGifts = true;
+
+    fetch(`${window.theme.routes.cart_url}.js`, {
+      headers: { Accept: "application/json" },
+    })
+      .then((response) => response.json())
+      .then((cart) => {
+        const giftLines = cart.items.filter(
+          (item) => item.properties?.[CART_GOAL_GIFT_PROPERTY]
+        );
+        const qualifyingTotal = giftLines.reduce(
+          (total, item) => total - item.final_line_price,
+          cart.total_price
+        );
+        const updates = {};
+        const items = [];
+
+        giftLines.forEach((item) => {
+          const goal = giftGoals.find(
+            (giftGoal) =>
+              giftGoal.id === item.properties[CART_GOAL_GIFT_PROPERTY]
+          );
+
+          if (!goal || qualifyingTotal < goal.amount) {
+            updates[item.key] = 0;
+          } else if (item.quantity !== 1) {
+            updates[item.key] = 1;
+          }
+        });
+
+        giftGoals.forEach((goal) => {
+          const hasGift = giftLines.some(
+            (item) => item.properties[CART_GOAL_GIFT_PROPERTY] === goal.id
+          );
+
+          if (!hasGift && qualifyingTotal >= goal.amount) {
+            items.push({
+              id: goal.variant_id,
+              quantity: 1,
+              properties: { [CART_GOAL_GIFT_PROPERTY]: goal.id },
+            });
+          }
+        });
+
+        const hasUpdates = Object.keys(updates).length > 0;
+        if (!hasUpdates && !items.length) return;
+
+        // One request after the other, the Cart API doesn't merge parallel changes
+        const removeGifts = hasUpdates
+          ? this.postCartGoalGifts(window.theme.routes.cart_update_url, {
+              updates,
+            })
+          : Promise.resolve(false);
+
+        return removeGifts
+          .then((removed) =>
+            items.length
+              ? this.postCartGoalGifts(window.theme.routes.cart_add_url, {
+                  items,
+                }).then((added) => added || removed)
+              : removed
+          )
+          .then((changed) => {
+            if (changed) this.getCart();
+          });
+      })
+      .catch((error) => console.log(error))
+      .finally(() => {
+        isSyncingGifts = false;
+      });
+  };
+
+  /**
+   * Send a Cart API request of the gift sync
+   * @param {String} url - Cart API route, without .js
+   * @param {Object} body - Request body
+   * @returns {Promise<Boolean>} Whether the cart changed
+   */
+  CartElementBase.prototype.postCartGoalGifts = function (url, body) {
+    return fetch(`${url}.js`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(body),
+    }).then((response) => response.ok);
+  };
+}
+
+/**
+ * Extend cart-element with the gift wrapping option
+ * The option follows the rendered wrapping line, which leaves the cart together with the gift
+ * message and the packing slip flag once no other line is left.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendGiftWrap(CartElementBase) {
+  const originalBuild = CartElementBase.prototype.build;
+  let isSyncingGiftWrap = false;
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    this.syncGiftWrap();
+  };
+
+  /**
+   * Update the gift wrapping options and clear them when the cart empties
+   */
+  CartElementBase.prototype.syncGiftWrap = function () {
+    const giftWraps = document.querySelectorAll("cart-gift-wrap");
+    if (!giftWraps.length) return;
+
+    const items = Array.from(this.cart.querySelectorAll("[data-cart-item]"));
+    const giftWrapItems = items.filter((item) =>
+      item.hasAttribute("data-gift-wrap")
+    );
+
+    giftWraps.forEach((giftWrap) => giftWrap.update(giftWrapItems.length > 0));
+
+    // The tab which changed the cart clears it
+    if (items.length > giftWrapItems.length || isRenderingOtherTab) return;
+
+    const hasAttributes = Array.from(giftWraps).some((giftWrap) =>
+      giftWrap.hasAttributes()
+    );
+    if (isSyncingGiftWrap || (!giftWrapItems.length && !hasAttributes)) {
+      return;
+    }
+
+    isSyncingGiftWrap = true;
+
+    const updates = {};
+    giftWrapItems.forEach((item) => {
+      updates[item.getAttribute("data-item")] = 0;
+    });
+
+    giftWraps.forEach((giftWrap) => giftWrap.reset());
+
+    fetch(`${window.theme.routes.cart_update_url}.js`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({
+        updates,
+        attributes: giftWraps[0].getAttributes(),
+      }),
+    })
+      .then(() => {
+        if (giftWrapItems.length) this.getCart();
+      })
+      .catch((error) => console.log(error))
+      .finally(() => {
+        isSyncingGiftWrap = false;
+      });
+  };
+}
+
+/**
+ * Extend cart-element with discount code links and reasons for rejected codes
+ * A linked code is applied by the first cart with items, the cart page on load and the drawer once
+ * it opens or renders, so the drawer doesn't open by itself for it.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendDiscountCodes(CartElementBase) {
+  const originalConnectedCallback = CartElementBase.prototype.connectedCallback;
+  const originalBuild = CartElementBase.prototype.build;
+  const originalOpenCartDrawer = CartElementBase.prototype.openCartDrawer;
+  const originalUpdateCartDiscounts =
+    CartElementBase.prototype.updateCartDiscounts;
+  const originalUpdateAndParse = CartElementBase.prototype.updateAndParse;
+
+  // Once per page, the render after a failed request would otherwise send the code again
+  let hasAppliedPendingDiscount = false;
+
+  storeLinkedDiscountCode();
+
+  CartElementBase.prototype.connectedCallback = function () {
+    originalConnectedCallback.call(this);
+
+    if (this.isCartPage) this.applyPendingDiscount();
+  };
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    if (this.discountError && this.discountRejection) {
+      if (!this.shippingDiscountError && this.discountErrorMessage) {
+        this.discountErrorMessage.textContent = this.discountRejection;
+      }
+    }
+
+    if (!isRenderingOtherTab) this.applyPendingDiscount();
+  };
+
+  CartElementBase.prototype.openCartDrawer = function () {
+    originalOpenCartDrawer.call(this);
+
+    if (this.isCartDrawerOpen) this.applyPendingDiscount();
+  };
+
+  CartElementBase.prototype.updateCartDiscounts = function (
+    discountString,
+    attemptedCode = null
+  ) {
+    this.attemptedDiscountCode = attemptedCode;
+    this.discountRejection = "";
+
+    return originalUpdateCartDiscounts.call(
+      this,
+      discountString,
+      attemptedCode
+    );
+  };
+
+  /**
+   * Find out why the attempted code was rejected before the cart renders it
+   */
+  CartElementBase.prototype.updateAndParse = async function (
+    discountString,
+    signal
+  ) {
+    const result = await originalUpdateAndParse.call(
+      this,
+      discountString,
+      signal
+    );
+    const attemptedCode = this.attemptedDiscountCode;
+    const attempted = (result.data.discount_codes || []).find(
+      (discount) => discount.code === attemptedCode
+    );
+
+    // A failed or aborted request throws above, the linked code then waits for the next page
+    clearPendingDiscountCode(attemptedCode);
+
+    if (attempted && !attempted.applicable) {
+      this.discountRejection = await getDiscountRejection(
+        attemptedCode,
+        result.data
+      );
+    }
+
+    return result;
+  };
+
+  /**
+   * Apply the code of a discount link once the cart has items
+   * The code stays stored until the cart update for it responds
+   */
+  CartElementBase.prototype.applyPendingDiscount = function () {
+    const code = getPendingDiscountCode();
+    if (!code || hasAppliedPendingDiscount || !this.hasItemsInCart()) return;
+
+    hasAppliedPendingDiscount = true;
+    this.attemptedDiscountCode = null;
+
+    this.applyDiscount(code).then(() => {
+      // Codes the cart already has are not sent again
+      if (this.attemptedDiscountCode !== code) clearPendingDiscountCode(code);
+    });
+  };
+}
+
+/**
+ * Extend cart-element with the save for later action of the lines
+ * The line is removed from the cart and parked in the saved list with its quantity and properties
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendSaveForLater(CartElementBase) {
+  const originalConnectedCallback = CartElementBase.prototype.connectedCallback;
+
+  CartElementBase.prototype.connectedCallback = function () {
+    originalConnectedCallback.call(this);
+
+    this.setupSaveForLater();
+  };
+
+  /**
+   * Listen to the save buttons, delegated as the lines are rendered again after every change
+   */
+  CartElementBase.prototype.setupSaveForLater = function () {
+    if (this.saveForLaterClick) return;
+
+    this.saveForLaterClick = (event) => {
+      const button = event.target.closest("[data-item-save]");
+      if (!button || !this.contains(button)) return;
+
+      event.preventDefault();
+      this.saveForLater(button);
+    };
+
+    this.addEventListener("click", this.saveForLaterClick);
+  };
+
+  /**
+   * Remove a line from the cart and save it for later once the removal went through
+   * A line the cart keeps doesn't end up in both lists
+   * @param {HTMLElement} button - Save button with the saved item JSON
+   */
+  CartElementBase.prototype.saveForLater = function (button) {
+    const item = button.closest("[data-cart-item]");
+    if (!item || item.classList.contains("is-removed")) return;
+
+    let savedItem;
+    try {
+      savedItem = JSON.parse(button.getAttribute("data-item-save"));
+    } catch (e) {
+      console.warn("Failed to parse saved item:", e);
+      return;
+    }
+
+    const key = item.getAttribute("data-item");
+    const itemTitle = item.getAttribute("data-item-title");
+    const field = item.querySelector("[data-quantity-field]");
+
+    // The removal skips the optimistic queue, a quantity still queued for the line is saved instead of sent
+    if (this.pendingLineUpdates) delete this.pendingLineUpdates[key];
+    savedItem.quantity = parseInt(field?.value, 10) || savedItem.quantity;
+
+    item.classList.add("is-loading");
+    this.disableCartButtons();
+    this.addLoadingClass();
+
+    fetch(`${window.theme.routes.cart_change_url}.js`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({ id: key, quantity: 0 }),
+    })
+      .then((response) => response.json())
+      .then((cart) => {
+        if (cart.status) throw cart;
+
+        addSavedItem(savedItem);
+        this.getCart();
+      })
+      .catch((error) => {
+        console.log(error);
+        item.classList.remove("is-loading");
+        this.cartUpdateFailed = true;
+        this.updateErrorText(itemTitle);
+        this.toggleErrorMessage();
+        this.enableCartButtons();
+        this.removeLoadingClass();
+        this.scrollToCartTop();
+      });
+  };
+}
+
+/**
+ * Extend cart-element with inline variant editing of the lines
+ * The edit button opens <cart-line-edit> under the line, which calls swapLineItem once confirmed
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendLineEdit(CartElementBase) {
+  const originalConnectedCallback = CartElementBase.prototype.connectedCallback;
+
+  CartElementBase.prototype.connectedCallback = function () {
+    originalConnectedCallback.call(this);
+
+    this.setupLineEdit();
+  };
+
+  /**
+   * Listen to the edit buttons, delegated as the lines are rendered again after every change
+   */
+  CartElementBase.prototype.setupLineEdit = function () {
+    if (this.lineEditClick) return;
+
+    this.lineEditClick = (event) => {
+      const button = event.target.closest("[data-item-edit]");
+      if (!button || !this.contains(button)) return;
+
+      event.preventDefault();
+      this.toggleLineEdit(button);
+    };
+
+    this.addEventListener("click", this.lineEditClick);
+  };
+
+  /**
+   * Open or close the variant editor of a line
+   * @param {HTMLElement} button - Edit button with the line item JSON
+   */
+  CartElementBase.prototype.toggleLineEdit = function (button) {
+    const item = button.closest("[data-cart-item]");
+    const content = item?.querySelector(".cart__item__content") || item;
+    const openEditor = item?.querySelector("cart-line-edit");
+
+    if (!item) return;
+
+    if (openEditor) {
+      openEditor.close();
+      return;
+    }
+
+    // One editor at a time, the lines are rendered again after a swap anyway
+    this.querySelectorAll("cart-line-edit").forEach((editor) => editor.close());
+
+    const editor = document.createElement("cart-line-edit");
+    editor.className = "cart__item__edit";
+    editor.dataset.lineItem = button.getAttribute("data-item-edit");
+
+    button.setAttribute("aria-expanded", "true");
+    content.appendChild(editor);
+  };
+
+  /**
+   * Swap a line to another variant, keeping its quantity and properties
+   * The new variant is added through cart/add before the line is removed through cart/change,
+   * so a failed add leaves the line untouched. Property changes of the same variant only
+   * change the line, adding the variant again could exceed its stock.
+   * @param {HTMLElement} item - Line item element
+   * @param {Object} lineItem - Current line, variant_id, quantity and properties
+   * @param {Object} newItem - /cart/add.js item, id, quantity and properties
+   */
+  CartElementBase.prototype.swapLineItem = function (item, lineItem, newItem) {
+    const itemTitle = item.getAttribute("data-item-title");
+    const key = item.getAttribute("data-item");
+    const postCart = (url, body) =>
+      fetch(`${url}.js`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(body),
+      }).then((response) => response.json());
+
+    item.classList.add("is-loading");
+    this.disableCartButtons();
+    this.addLoadingClass();
+
+    const request =
+      newItem.id === lineItem.variant_id
+        ? postCart(window.theme.routes.cart_change_url, {
+            id: key,
+            quantity: newItem.quantity,
+            properties: newItem.properties,
+          })
+        : postCart(window.theme.routes.cart_add_url, {
+            items: [newItem],
+          }).then((response) => {
+            if (response.status) throw response;
+
+            return postCart(window.theme.routes.cart_change_url, {
+              id: key,
+              quantity: 0,
+            });
+          });
+
+    request
+      .then((cart) => {
+        // A failed removal leaves both lines, the render shows them
+        if (cart.status) throw cart;
+
+        this.getCart();
+      })
+      .catch((error) => {
+        console.log(error);
+        this.cartUpdateFailed = true;
+        this.updateErrorText(itemTitle);
+        this.toggleErrorMessage();
+        this.getCart();
+        this.scrollToCartTop();
+      });
+  };
+}
+
+/**
+ * Extend cart-element with upsells ranked from the cart contents
+ * The upsell slot of the cart settings is filled with the complementary products of the cart lines
+ * and ranked again whenever the cart is rendered, e.g. after every updateCart.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendCartRecommendations(CartElementBase) {
+  const originalConnectedCallback = CartElementBase.prototype.connectedCallback;
+  const originalBuild = CartElementBase.prototype.build;
+
+  CartElementBase.prototype.connectedCallback = function () {
+    originalConnectedCallback.call(this);
+
+    this.updateCartRecommendations();
+  };
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    this.updateCartRecommendations();
+  };
+
+  /**
+   * Rank the complementary products of the cart lines and render them in the upsell slot
+   */
+  CartElementBase.prototype.updateCartRecommendations = function () {
+    const slot = this.pairProductsHolder?.querySelector(
+      "[data-cart-recommendations]"
+    );
+    if (!slot) return;
+
+    const productIds = Array.from(
+      this.itemsHolder.querySelectorAll("[data-cart-item][data-product-id]")
+    ).map((item) => item.getAttribute("data-product-id"));
+    const limit = parseInt(slot.getAttribute("data-cart-recommendations"), 10);
+
+    // Only the latest cart renders, responses of earlier carts may arrive after it
+    const request = (this.cartRecommendationsRequest || 0) + 1;
+    this.cartRecommendationsRequest = request;
+
+    if (!productIds.length) {
+      slot.replaceChildren();
+      return;
+    }
+
+    getCartRecommendations(productIds, limit || 4).then((holders) => {
+      if (request !== this.cartRecommendationsRequest || !slot.isConnected) {
+        return;
+      }
+
+      slot.replaceChildren(...holders);
+      this.renderPairProducts();
+    });
+  };
+}
+
+/**
+ * Extend cart-element with cart changes across tabs
+ * Every render of the cart is announced to the other tabs, which render the cart and the header
+ * cart toggles again without opening the drawer. A tab busy with its own change skips the refresh,
+ * its own change renders the latest cart once it settles.
+ * @param {Function} CartElementBase - The cart-element class
+ */
+function extendCrossTabSync(CartElementBase) {
+  const originalBuild = CartElementBase.prototype.build;
+  const originalOpenCartDrawer = CartElementBase.prototype.openCartDrawer;
+  let refreshTimer = null;
+
+  CartElementBase.prototype.build = function (data) {
+    originalBuild.call(this, data);
+
+    if (!isRenderingOtherTab) {
+      publishCartChange({ hasItems: this.newTotalItems > 0 });
+    }
+  };
+
+  CartElementBase.prototype.openCartDrawer = function () {
+    if (isRenderingOtherTab) return;
+
+    originalOpenCartDrawer.call(this);
+  };
+
+  // Popups close on theme:cart:added, a change of another tab shouldn't close them
+  window.addEventListener(
+    "theme:cart:added",
+    (event) => {
+      if (isRenderingOtherTab) event.stopImmediatePropagation();
+    },
+    true
+  );
+
+  // The cart elements of a tab announce the same change, the other tabs refresh once
+  subscribeCartChanges(({ hasItems }) => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+      document.querySelectorAll(".cart__toggle").forEach((toggle) => {
+        toggle.classList.toggle("cart__toggle--has-items", Boolean(hasItems));
+      });
+
+      document
+        .querySelectorAll("cart-element")
+        .forEach((cart) => cart.refreshFromOtherTab());
+    }, 100);
+  });
+
+  /**
+   * Whether a change of this tab is queued or in flight
+   * @returns {Boolean}
+   */
+  CartElementBase.prototype.isCartBusy = function () {
+    return Boolean(
+      this.lineUpdatesRequest ||
+      Object.keys(this.pendingLineUpdates || {}).length ||
+      this.classList.contains("is-loading") ||
+      this.itemsWrapper?.classList.contains("is-loading")
+    );
+  };
+
+  /**
+   * Render the cart changed in another tab, like getCart but without opening the drawer
+   */
+  CartElementBase.prototype.refreshFromOtherTab = function () {
+    if (this.isCartBusy()) return;
+
+    if (this.isCartDrawer && !this.isCartDrawerLoaded) {
+      this.renderCartDrawer(false);
+    }
+
+    fetch(`${window.theme.routes.cart_url}?section_id=api-cart-items`)
+      .then((response) => response.text())
+      .then((html) => {
+        // A change of this tab started meanwhile and renders the cart itself
+        if (this.isCartBusy()) return;
+
+        const element = document.createElement("div");
+        element.innerHTML = html;
+
+        isRenderingOtherTab = true;
+        try {
+          this.build(element.querySelector("[data-api-content]"));
+        } finally {
+          isRenderingOtherTab = false;
+        }
+      })
+      .catch((error) => console.log(error));
+  };
+}
+
+/**
+ * Extend the cart-element class once it is defined
+ */
+export function extendCartElementClass() {
+  customElements.whenDefined("cart-element").then(() => {
+    const CartElementBase = customElements.get("cart-element");
+
+    extendKitGroups(CartElementBase);
+    extendOptimisticUpdates(CartElementBase);
+    extendAddItems(CartElementBase);
+    extendFreeShippingLimit(CartElementBase);
+    extendCartGoals(CartElementBase);
+    extendGiftWrap(CartElementBase);
+    extendDiscountCodes(CartElementBase);
+    extendSaveForLater(CartElementBase);
+    extendLineEdit(CartElementBase);
+    extendCartRecommendations(CartElementBase);
+    extendCrossTabSync(CartElementBase);
+
+    rebindCartMethod("updateCart");
+    rebindCartMethod("build");
+    rebindCartMethod("openCartDrawer");
+
+    // Cart elements connected before the extension
+    document.querySelectorAll("cart-element").forEach((cart) => {
+      cart.updateFreeShippingLimit();
+      cart.setupSaveForLater();
+      cart.setupLineEdit();
+      cart.updateCartRecommendations();
+      if (cart.isCartPage) cart.applyPendingDiscount();
+    });
+  });
+}
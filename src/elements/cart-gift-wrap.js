@@ -0,0 +1,199 @@
+/**
+ * Gift wrapping option of the cart
+ * The toggle adds or removes the wrapping line through cart-element, the gift message and the
+ * packing slip flag are saved as cart attributes while the customer types, and go along with the
+ * checkout form too. cart-element updates the toggle after every cart render.
+ */
+
+export const GIFT_WRAP_PROPERTY = "_gift_wrap";
+
+// Attributes are saved once the customer stops typing
+const SAVE_DELAY = 500;
+
+class CartGiftWrap extends HTMLElement {
+  constructor() {
+    super();
+    this.boundHandleToggle = this.handleToggle.bind(this);
+    this.boundHandleInput = this.handleInput.bind(this);
+    this.boundHandleSubmit = this.handleSubmit.bind(this);
+    this.boundSaveAttributes = this.saveAttributes.bind(this);
+  }
+
+  connectedCallback() {
+    this.toggle = this.querySelector("[data-gift-wrap-toggle]");
+    this.message = this.querySelector("[data-gift-wrap-message]");
+    this.hidePrices = this.querySelector("[data-gift-wrap-hide-prices]");
+    this.counter = this.querySelector("[data-gift-wrap-counter]");
+    this.error = this.querySelector("[data-gift-wrap-error]");
+    this.maxLength = parseInt(this.dataset.maxLength, 10) || 0;
+
+    // The drawer's fields belong to the checkout form through the form attribute
+    this.form = this.message.form;
+
+    this.toggle.addEventListener("change", this.boundHandleToggle);
+    this.message.addEventListener("input", this.boundHandleInput);
+    this.hidePrices.addEventListener("change", this.boundSaveAttributes);
+    this.form?.addEventListener("submit", this.boundHandleSubmit);
+
+    this.validate();
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this.saveTimer);
+
+    this.toggle.removeEventListener("change", this.boundHandleToggle);
+    this.message.removeEventListener("input", this.boundHandleInput);
+    this.hidePrices.removeEventListener("change", this.boundSaveAttributes);
+    this.form?.removeEventListener("submit", this.boundHandleSubmit);
+  }
+
+  /**
+   * Get the cart-element the wrapping line belongs to
+   * @returns {HTMLElement|null} Cart element
+   */
+  getCartElement() {
+    return (
+      this.closest("cart-element") || document.querySelector("cart-element")
+    );
+  }
+
+  /**
+   * Add or remove the wrapping line
+   */
+  handleToggle() {
+    const cartElement = this.getCartElement();
+    if (typeof cartElement?.addItems !== "function") return;
+
+    this.toggle.disabled = true;
+
+    if (!this.toggle.checked) {
+      const item = cartElement.querySelector(
+        "[data-cart-item][data-gift-wrap]"
+      );
+
+      if (!item) {
+        this.update(false);
+        return;
+      }
+
+      cartElement.updateCart(
+        { id: item.getAttribute("data-item"), quantity: 0 },
+        item
+      );
+      return;
+    }
+
+    cartElement
+      .addItems([
+        {
+          id: Number(this.dataset.variantId),
+          quantity: 1,
+          properties: { [GIFT_WRAP_PROPERTY]: "true" },
+        },
+      ])
+      .then((response) => {
+        if (!response || response.status) this.update(false);
+      });
+  }
+
+  /**
+   * Validate the message and save it once the customer stops typing
+   */
+  handleInput() {
+    clearTimeout(this.saveTimer);
+
+    if (!this.validate()) return;
+
+    this.saveTimer = setTimeout(this.boundSaveAttributes, SAVE_DELAY);
+  }
+
+  /**
+   * Keep a too long message from the checkout
+   * @param {Event} event - The submit event
+   */
+  handleSubmit(event) {
+    if (this.validate()) return;
+
+    event.preventDefault();
+    this.message.focus();
+  }
+
+  /**
+   * Check the message length and update the counter and the error
+   * maxlength doesn't apply to a message saved before the limit was lowered
+   * @returns {Boolean} Whether the message is valid
+   */
+  validate() {
+    const { length } = this.message.value;
+    const isValid = !this.maxLength || length <= this.maxLength;
+
+    this.counter.textContent = `${length}/${this.maxLength}`;
+    this.error.hidden = isValid;
+    this.message.setAttribute("aria-invalid", String(!isValid));
+
+    return isValid;
+  }
+
+  /**
+   * Save the gift message and the packing slip flag as cart attributes
+   */
+  saveAttributes() {
+    clearTimeout(this.saveTimer);
+
+    if (!this.validate()) return;
+
+    fetch(`${window.theme.routes.cart_update_url}.js`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({ attributes: this.getAttributes() }),
+    }).catch((error) => console.log(error));
+  }
+
+  /**
+   * Get the cart attributes of the fields
+   * @returns {Object} Attribute values by name
+   */
+  getAttributes() {
+    return {
+      [this.dataset.messageAttribute]: this.message.value.trim(),
+      [this.dataset.hidePricesAttribute]: this.hidePrices.checked ? "Yes" : "",
+    };
+  }
+
+  /**
+   * Whether the customer filled in a message or the packing slip flag
+   * @returns {Boolean}
+   */
+  hasAttributes() {
+    return Boolean(this.message.value.trim() || this.hidePrices.checked);
+  }
+
+  /**
+   * Reflect the wrapping line of the rendered cart
+   * @param {Boolean} hasGiftWrap - Whether the cart has the wrapping line
+   */
+  update(hasGiftWrap) {
+    this.toggle.checked = hasGiftWrap;
+    this.toggle.disabled = false;
+  }
+
+  /**
+   * Clear the fields, once the cart is empty
+   */
+  reset() {
+    clearTimeout(this.saveTimer);
+
+    this.message.value = "";
+    this.hidePrices.checked = false;
+    this.validate();
+  }
+}
+
+if (!customElements.get("cart-gift-wrap")) {
+  customElements.define("cart-gift-wrap", CartGiftWrap);
+}
+
+export default CartGiftWrap;
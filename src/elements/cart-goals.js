@@ -0,0 +1,163 @@
+/**
+ * Tiered cart goals
+ * Stacks free shipping, free gift and discount goals on one progress bar, one segment per goal.
+ * Reached goals show their success message, the next goal shows how much is left to spend.
+ * cart-element updates the goals after every cart render and adds or removes the gifts.
+ */
+
+import {
+  convertShopAmount,
+  getFreeShippingLimit,
+} from "../utils/free-shipping.js";
+
+export const CART_GOAL_GIFT_PROPERTY = "_cart_goal_gift";
+
+/**
+ * @typedef {Object} CartGoal
+ * @property {String} id - Goal id, stored in the gift line property
+ * @property {String} type - "shipping", "gift" or "discount"
+ * @property {Number} amount - Minimum spend in the presentment currency, in cents
+ * @property {String} message - Message with the ||amount|| placeholder
+ * @property {String} success - Message once the goal is reached
+ * @property {Number} variant_id - Gift variant id, gift goals only
+ */
+
+class CartGoals extends HTMLElement {
+  connectedCallback() {
+    this.goals = this.getGoals();
+    this.messagesHolder = this.querySelector("[data-cart-goals-messages]");
+    this.progressHolder = this.querySelector("[data-cart-goals-progress]");
+
+    this.renderSegments();
+    this.update(parseInt(this.dataset.subtotal, 10) || 0);
+  }
+
+  /**
+   * Read the goals definition, sorted by amount
+   * Amounts are converted from the shop currency, free shipping follows the threshold of the market
+   * @returns {Array<CartGoal>} Goals
+   */
+  getGoals() {
+    const definition = this.querySelector("[data-cart-goals]");
+
+    try {
+      return JSON.parse(definition?.textContent || "[]")
+        .map((goal) => ({
+          ...goal,
+          amount:
+            goal.type === "shipping"
+              ? getFreeShippingLimit(goal.amount / 100)
+              : convertShopAmount(goal.amount),
+        }))
+        .sort((a, b) => a.amount - b.amount);
+    } catch (e) {
+      console.warn("Failed to parse cart goals:", e);
+      return [];
+    }
+  }
+
+  /**
+   * Get the gift goals
+   * @returns {Array<CartGoal>} Goals rewarded with a gift variant
+   */
+  getGiftGoals() {
+    return this.goals.filter((goal) => goal.type === "gift" && goal.variant_id);
+  }
+
+  /**
+   * Render one progress segment per goal, sized by the spend between the goal and the previous one
+   */
+  renderSegments() {
+    if (!this.progressHolder || !this.goals.length) return;
+
+    let previousAmount = 0;
+
+    this.segments = this.goals.map((goal) => {
+      const segment = document.createElement("span");
+      segment.className = "cart-goals__segment";
+      segment.dataset.goal = goal.id;
+      segment.dataset.goalType = goal.type;
+      segment.style.setProperty(
+        "--segment-size",
+        Math.max(goal.amount - previousAmount, 0)
+      );
+      segment.innerHTML = `<span class="cart-goals__fill"></span><span class="cart-goals__label">${this.formatAmount(goal.amount)}</span>`;
+
+      previousAmount = goal.amount;
+      this.progressHolder.appendChild(segment);
+
+      return segment;
+    });
+  }
+
+  /**
+   * Update the messages and the segment fills
+   * @param {Number} subtotal - Cart subtotal in cents
+   */
+  update(subtotal) {
+    this.classList.toggle("is-hidden", subtotal === 0);
+
+    let previousAmount = 0;
+    const messages = [];
+    let hasNextGoal = false;
+
+    this.goals.forEach((goal, index) => {
+      const isReached = subtotal >= goal.amount;
+      const range = goal.amount - previousAmount;
+      const fill = range > 0 ? (subtotal - previousAmount) / range : 1;
+      const segment = this.segments?.[index];
+
+      if (segment) {
+        segment.classList.toggle("is-reached", isReached);
+        segment.style.setProperty(
+          "--segment-fill",
+          `${Math.min(Math.max(fill, 0), 1) * 100}%`
+        );
+      }
+
+      if (isReached && goal.success) {
+        messages.push(
+          `<span class="cart-goals__message is-success">${goal.success}</span>`
+        );
+      } else if (!isReached && !hasNextGoal) {
+        // Only the next goal asks for more spend, later ones are shown on the bar
+        hasNextGoal = true;
+        const leftToSpend = `<span data-left-to-spend>${this.formatAmount(goal.amount - subtotal)}</span>`;
+        messages.push(
+          `<span class="cart-goals__message">${(goal.message || "").replace("||amount||", leftToSpend)}</span>`
+        );
+      }
+
+      previousAmount = goal.amount;
+    });
+
+    if (this.messagesHolder) {
+      this.messagesHolder.innerHTML = messages.join("");
+    }
+  }
+
+  /**
+   * Format an amount like the theme's free shipping message
+   * @param {Number} cents - Amount in cents
+   * @returns {String} Formatted amount, without trailing zeros
+   */
+  formatAmount(cents) {
+    let amount = window.theme.formatMoney(cents, window.theme.moneyFormat);
+
+    if (amount.endsWith(".00") || amount.endsWith(",00")) {
+      amount = amount.slice(0, -3);
+    }
+
+    if (window.theme.settings?.currency_code_enable) {
+      amount += ` ${window.theme.current_iso_code}`;
+    }
+
+    return amount;
+  }
+}
+
+if (!customElements.get("cart-goals")) {
+  customElements.define("cart-goals", CartGoals);
+}
+
+export default CartGoals;
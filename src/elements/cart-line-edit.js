@@ -0,0 +1,146 @@
+import { getProductScope, getProductState } from "../utils/product-state.js";
+
+/**
+ * Inline variant editing of a cart line item
+ * Loads the api-cart-edit section of the product, so <product-info>, <variant-selects> and the swatches
+ * work like on the product page, and swaps the line through cart-element once the customer confirms.
+ */
+class CartLineEdit extends HTMLElement {
+  constructor() {
+    super();
+    this.boundHandleSubmit = this.handleSubmit.bind(this);
+    this.boundHandleClick = this.handleClick.bind(this);
+  }
+
+  connectedCallback() {
+    try {
+      this.lineItem = JSON.parse(this.dataset.lineItem);
+    } catch (e) {
+      console.warn("Failed to parse line item:", e);
+      return;
+    }
+
+    this.addEventListener("submit", this.boundHandleSubmit);
+    this.addEventListener("click", this.boundHandleClick);
+
+    this.load();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("submit", this.boundHandleSubmit);
+    this.removeEventListener("click", this.boundHandleClick);
+  }
+
+  /**
+   * Load the options of the line's product, with the line's variant selected
+   */
+  load() {
+    const { handle, variant_id: variantId } = this.lineItem;
+    const url = `${window.theme.routes.root}products/${handle}?section_id=api-cart-edit&variant=${variantId}`;
+
+    this.classList.add("is-loading");
+
+    fetch(url)
+      .then((response) => response.text())
+      .then((html) => {
+        const element = document.createElement("div");
+        element.innerHTML = html;
+
+        const productInfo = element.querySelector("product-info");
+        if (!productInfo) return;
+
+        this.replaceChildren(productInfo);
+        this.form = this.querySelector("[data-cart-edit-form]");
+        this.querySelector(
+          "input:not([type='hidden']), select, button"
+        )?.focus();
+      })
+      .catch((error) => console.log(error))
+      .finally(() => this.classList.remove("is-loading"));
+  }
+
+  /**
+   * Handle the close button
+   * @param {Event} event - The click event
+   */
+  handleClick(event) {
+    if (!event.target.closest("[data-cart-edit-close]")) return;
+
+    event.preventDefault();
+    this.close();
+  }
+
+  /**
+   * Swap the line to the selected variant, keeping its quantity and properties
+   * @param {Event} event - The submit event
+   */
+  handleSubmit(event) {
+    if (event.target !== this.form) return;
+
+    event.preventDefault();
+
+    const variantId = Number(this.form.querySelector('[name="id"]').value);
+    const state = getProductState(getProductScope(this.form));
+    const cartElement = this.closest("cart-element");
+    const submitButton = this.form.querySelector("[data-cart-edit-submit]");
+
+    if (!variantId || state?.variant?.available === false) return;
+    if (typeof cartElement?.swapLineItem !== "function") return;
+
+    const properties = {
+      ...this.lineItem.properties,
+      ...this.getFormProperties(),
+    };
+
+    if (
+      variantId === this.lineItem.variant_id &&
+      JSON.stringify(properties) === JSON.stringify(this.lineItem.properties)
+    ) {
+      this.close();
+      return;
+    }
+
+    submitButton.classList.add("is-loading");
+    submitButton.disabled = true;
+
+    cartElement.swapLineItem(this.closest("[data-cart-item]"), this.lineItem, {
+      id: variantId,
+      quantity: this.lineItem.quantity,
+      properties,
+    });
+  }
+
+  /**
+   * Read the line item properties of the form, e.g. the pattern language
+   * Inputs outside of the form are associated through the form attribute
+   * @returns {Object} Properties by name
+   */
+  getFormProperties() {
+    const properties = {};
+
+    new FormData(this.form).forEach((value, name) => {
+      const match = name.match(/^properties\[(.+)\]$/);
+      if (match) properties[match[1]] = value;
+    });
+
+    return properties;
+  }
+
+  /**
+   * Close the editor and return the focus to the edit button
+   */
+  close() {
+    const button =
+      this.closest("[data-cart-item]")?.querySelector("[data-item-edit]");
+
+    button?.setAttribute("aria-expanded", "false");
+    button?.focus();
+    this.remove();
+  }
+}
+
+if (!customElements.get("cart-line-edit")) {
+  customElements.define("cart-line-edit", CartLineEdit);
+}
+
+export default CartLineEdit;
@@ -0,0 +1,993 @@
+import { formatMoney } from "../utils/money.js";
+import { formatString } from "../utils/strings.js";
+import { calculateSkeins } from "../utils/yarn.js";
+import { openNotificationPopup } from "../utils/notification-popup.js";
+import {
+  getProductScope,
+  subscribeToProductState,
+} from "../utils/product-state.js";
+import { validateFormQuantity } from "./quantity-counter.js";
+
+// Components that don't apply to the digital (PDF) format of a pattern
+const PHYSICAL_ROLES = ["yarn", "needles"];
+
+/**
+ * Kit builder for pattern products
+ * Reads an ordered list of kit components from the [data-kit-definition] JSON script tag
+ * and builds the /cart/add.js items, the live price and the validation from it.
+ *
+ * Component definition:
+ * {
+ *   key: "yarn-123",          // unique key, matches [data-kit-component] and the input value
+ *   role: "yarn",             // "main" marks the position of the main product in the items
+ *   variant_id: 123,
+ *   price: 1990,              // in cents, per unit
+ *   available: true,
+ *   quantities: { "M": 5 },   // quantity per pattern size (variant title or option value)
+ *   default_quantity: 1,
+ *   required: false,          // grouped components: one of the group is required
+ *   group: null,              // mutually exclusive group name
+ *   meters_per_skein: 200,    // yarn only, skein count is calculated from the pattern meterage
+ *   gauge: 22,                // yarn only, stitches per 10 cm
+ *   inventory_quantity: 8,    // null when stock isn't tracked
+ *   variants: []              // yarn only, colour variants { id, title, price, available, inventory_quantity }
+ * }
+ *
+ * Initial variant (optional): the selected variant of the main product, updated from the product state store
+ *
+ * Digital format (optional): { position: 1, value: "PDF" } // format option of the main product,
+ * yarn and needles are hidden and left out while the digital format is selected
+ *
+ * Pattern definition (optional):
+ * { meters: { "M": 850 }, gauge: 22 } // meters per pattern size, stitches per 10 cm
+ */
+class KitBuilder extends HTMLElement {
+  constructor() {
+    super();
+    this.components = [];
+    this.pattern = {};
+    this.inputs = new Map();
+    this.variantInputs = [];
+    this.currentVariant = null;
+    this.currentVariantPrice = 0;
+    this.shortages = [];
+    this.pendingAdd = null;
+    this.boundHandleInputChange = this.handleInputChange.bind(this);
+    this.boundHandleMarginChange = this.handleMarginChange.bind(this);
+    this.boundHandleVariantInputChange =
+      this.handleVariantInputChange.bind(this);
+    this.boundHandleAddAvailable = this.handleAddAvailable.bind(this);
+    this.boundHandleNotify = this.handleNotify.bind(this);
+  }
+
+  connectedCallback() {
+    this.init();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListeners();
+  }
+
+  /**
+   * Initialize kit definition and listeners
+   */
+  init() {
+    this.components = this.readDefinition();
+    this.errorsContainer = this.querySelector("[data-kit-errors]");
+
+    this.setupInputs();
+    this.setupShortage();
+    this.setupYarnCalculator();
+
+    // Setup form submit override
+    this.setupFormSubmit();
+
+    // Initial variant from the kit definition, products without options never publish a state
+    this.setVariant(this.initialVariant);
+
+    // Listen for variant changes to update current variant price
+    this.setupVariantPriceListener();
+  }
+
+  /**
+   * Read ordered component definitions from the JSON script tag
+   * @returns {Array} Component definitions
+   */
+  readDefinition() {
+    const definitionScript = this.querySelector("[data-kit-definition]");
+    if (!definitionScript) return [];
+
+    try {
+      const definition = JSON.parse(definitionScript.textContent);
+      this.pattern = definition?.pattern || {};
+      this.initialVariant = definition?.variant || null;
+      this.digitalFormat = definition?.digital_format || null;
+      return Array.isArray(definition?.components)
+        ? definition.components.filter((component) => component?.key)
+        : [];
+    } catch (e) {
+      console.warn("Failed to parse kit definition:", e);
+      return [];
+    }
+  }
+
+  /**
+   * Setup listeners for component inputs
+   */
+  setupInputs() {
+    this.querySelectorAll("[data-kit-input]").forEach((input) => {
+      if (!this.getComponent(input.value)) return;
+
+      input.addEventListener("change", this.boundHandleInputChange);
+      this.inputs.set(input.value, input);
+    });
+
+    // Colour swatches of components with variants, e.g. yarn substitutes
+    this.variantInputs = Array.from(
+      this.querySelectorAll("[data-kit-variant]")
+    );
+    this.variantInputs.forEach((input) => {
+      input.addEventListener("change", this.boundHandleVariantInputChange);
+    });
+
+    this.updateStockLevels();
+  }
+
+  /**
+   * Handle colour variant change of a component
+   * @param {Event} event - The change event
+   */
+  handleVariantInputChange(event) {
+    const input = event.target;
+    const component = this.getComponent(input.dataset.kitVariant);
+    const variantId = parseInt(input.value, 10);
+    const variant = component?.variants?.find(
+      (componentVariant) => componentVariant.id === variantId
+    );
+
+    if (!variant) return;
+
+    component.variant_id = variant.id;
+    component.price = variant.price;
+    component.available = variant.available;
+    component.inventory_quantity = variant.inventory_quantity;
+
+    this.updateStockLevels();
+
+    // Choosing a colour selects the component, the change handler recalculates the kit
+    const componentInput = this.inputs.get(component.key);
+    if (componentInput && !componentInput.disabled) {
+      componentInput.checked = true;
+      componentInput.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+  }
+
+  /**
+   * Update the stock display of components with variants
+   */
+  updateStockLevels() {
+    const strings = window.theme?.strings || {};
+
+    this.components.forEach((component) => {
+      const stockElement = this.querySelector(
+        `[data-kit-component="${component.key}"] [data-kit-stock]`
+      );
+      if (!stockElement) return;
+
+      const inventory = component.inventory_quantity;
+      let stockText = strings.kit_in_stock;
+
+      if (component.available === false) {
+        stockText = strings.sold_out;
+      } else if (inventory !== null && inventory !== undefined) {
+        stockText = formatString(strings.kit_stock, { count: inventory });
+      }
+
+      stockElement.textContent = stockText || "";
+    });
+  }
+
+  /**
+   * Setup the yarn calculator safety margin input
+   */
+  setupYarnCalculator() {
+    this.marginInput = this.querySelector("[data-yarn-margin]");
+    this.calculationElement = this.querySelector("[data-yarn-calculation]");
+    this.dyeLotWarning = this.querySelector("[data-yarn-dye-lot-warning]");
+
+    if (this.marginInput) {
+      this.marginInput.addEventListener("change", this.boundHandleMarginChange);
+    }
+  }
+
+  /**
+   * Handle safety margin change
+   */
+  handleMarginChange() {
+    this.updateQuantities();
+    this.recalculateTotalPrice();
+  }
+
+  /**
+   * Setup listener for variant changes to update current variant price
+   * The product state store resolves the variant of this product form only
+   */
+  setupVariantPriceListener() {
+    this.productStateUnsubscriber = subscribeToProductState(
+      getProductScope(this),
+      (state) => this.setVariant(state.variant)
+    );
+  }
+
+  /**
+   * Set the selected main product variant
+   * @param {Object} variant - Variant object
+   */
+  setVariant(variant) {
+    if (!variant) return;
+
+    this.currentVariant = variant;
+    this.currentVariantPrice = parseInt(variant.price, 10) || 0;
+
+    // Quantities change with the size, shortages are checked again on submit
+    this.hideShortages();
+    this.updateDigitalFormat();
+    this.updateQuantities();
+    this.recalculateTotalPrice();
+  }
+
+  /**
+   * Hide yarn and needles while the digital format of the pattern is selected
+   */
+  updateDigitalFormat() {
+    const { position, value } = this.digitalFormat || {};
+
+    this.isDigital = Boolean(
+      position && this.currentVariant?.options?.[position - 1] === value
+    );
+
+    this.querySelectorAll("[data-kit-physical]").forEach((group) => {
+      group.classList.toggle("hidden", this.isDigital);
+    });
+  }
+
+  /**
+   * Get component definition by key
+   * @param {String} key - Component key
+   * @returns {Object|undefined} Component definition
+   */
+  getComponent(key) {
+    return this.components.find((component) => component.key === key);
+  }
+
+  /**
+   * Whether a component is part of the kit
+   * @param {Object} component - Component definition
+   * @returns {Boolean}
+   */
+  isSelected(component) {
+    if (component.role === "main") return true;
+    if (this.isDigital && PHYSICAL_ROLES.includes(component.role)) return false;
+    if (component.required && !component.group) return true;
+
+    return Boolean(this.inputs.get(component.key)?.checked);
+  }
+
+  /**
+   * Get quantity for a component based on the current variant
+   * @param {Object} component - Component definition
+   * @returns {Number} Quantity
+   */
+  getComponentQuantity(component) {
+    const fallback = parseInt(component.default_quantity, 10) || 1;
+
+    // Yarn with a known meterage uses the calculator instead of the static map
+    const calculation = this.getYarnCalculation(component);
+    if (calculation) return calculation.skeins;
+
+    const sizeKey = this.getSizeKey(component.quantities);
+    if (sizeKey === undefined) return fallback;
+
+    return parseInt(component.quantities[sizeKey], 10) || fallback;
+  }
+
+  /**
+   * Find the key of a per-size map matching the current variant
+   * Size keys match the variant title or one of its option values
+   * @param {Object} sizeMap - Values per pattern size
+   * @returns {String|undefined} Matching size key
+   */
+  getSizeKey(sizeMap) {
+    if (!sizeMap || !this.currentVariant) return undefined;
+
+    const sizeKeys = [
+      this.currentVariant.title,
+      ...(this.currentVariant.options || []),
+    ].filter(Boolean);
+
+    return sizeKeys.find((key) => sizeMap[key] !== undefined);
+  }
+
+  /**
+   * Get the selected safety margin
+   * @returns {Number} Margin in percent
+   */
+  getSafetyMargin() {
+    return this.marginInput ? parseFloat(this.marginInput.value) || 0 : 0;
+  }
+
+  /**
+   * Calculate skeins of a yarn component for the current pattern size
+   * @param {Object} component - Component definition
+   * @returns {Object|null} Calculation breakdown or null if not applicable
+   */
+  getYarnCalculation(component) {
+    if (!component.meters_per_skein) return null;
+
+    const sizeKey = this.getSizeKey(this.pattern.meters);
+    if (sizeKey === undefined) return null;
+
+    const calculation = calculateSkeins({
+      meters: this.pattern.meters[sizeKey],
+      metersPerSkein: component.meters_per_skein,
+      margin: this.getSafetyMargin(),
+      patternGauge: this.pattern.gauge,
+      yarnGauge: component.gauge,
+    });
+
+    return calculation ? { ...calculation, size: sizeKey } : null;
+  }
+
+  /**
+   * Explain the skein calculation of the selected yarn
+   */
+  updateYarnCalculation() {
+    if (!this.calculationElement) return;
+
+    const yarnComponents = this.components.filter(
+      (component) => component.role === "yarn"
+    );
+    const yarn =
+      yarnComponents.find((component) => this.isSelected(component)) ||
+      yarnComponents[0];
+    const calculation = yarn ? this.getYarnCalculation(yarn) : null;
+
+    if (!calculation) {
+      this.calculationElement.textContent = "";
+      this.toggleDyeLotWarning(null);
+      return;
+    }
+
+    const strings = window.theme?.strings || {};
+    const gaugeAdjustment =
+      calculation.gaugeRatio !== 1
+        ? formatString(strings.yarn_gauge_adjustment, {
+            ratio: calculation.gaugeRatio.toFixed(2),
+            yarn_gauge: yarn.gauge,
+            pattern_gauge: this.pattern.gauge,
+          })
+        : "";
+
+    this.calculationElement.textContent = formatString(
+      strings.yarn_calculation,
+      {
+        title: yarn.title,
+        size: calculation.size,
+        meters: calculation.meters,
+        gauge: gaugeAdjustment,
+        margin: calculation.margin,
+        total: calculation.totalMeters,
+        meters_per_skein: calculation.metersPerSkein,
+        skeins: calculation.skeins,
+      }
+    );
+
+    // Skeins from a later restock may come from a different dye lot
+    const inventory = yarn.inventory_quantity;
+    const isShort =
+      inventory !== null &&
+      inventory !== undefined &&
+      calculation.skeins > inventory;
+    this.toggleDyeLotWarning(isShort ? inventory : null);
+  }
+
+  /**
+   * Show or hide the dye lot stock warning
+   * @param {Number|null} count - Skeins in stock, null hides the warning
+   */
+  toggleDyeLotWarning(count) {
+    if (!this.dyeLotWarning) return;
+
+    const isVisible = count !== null;
+    this.dyeLotWarning.textContent = isVisible
+      ? formatString(window.theme?.strings?.yarn_dye_lot_warning, { count })
+      : "";
+    this.dyeLotWarning.classList.toggle("hidden", !isVisible);
+  }
+
+  /**
+   * Update the quantity display of every component
+   */
+  updateQuantities() {
+    this.components.forEach((component) => {
+      const element = this.querySelector(
+        `[data-kit-component="${component.key}"]`
+      );
+      const quantityElement = element?.querySelector("[data-kit-quantity]");
+
+      if (quantityElement) {
+        quantityElement.textContent = this.getComponentQuantity(component);
+      }
+    });
+
+    this.updateYarnCalculation();
+  }
+
+  /**
+   * Handle component input change
+   * @param {Event} event - The change event
+   */
+  handleInputChange(event) {
+    const input = event.target;
+    const component = this.getComponent(input.value);
+
+    // Components of the same group are mutually exclusive
+    if (component?.group && input.checked) {
+      this.components
+        .filter(
+          (other) => other.group === component.group && other !== component
+        )
+        .forEach((other) => {
+          const otherInput = this.inputs.get(other.key);
+          if (otherInput) otherInput.checked = false;
+        });
+    }
+
+    this.clearErrors();
+    this.updateYarnCalculation();
+    this.recalculateTotalPrice();
+
+    this.dispatchEvent(
+      new CustomEvent("product:kit:change", {
+        detail: {
+          component,
+          isChecked: input.checked,
+          items: this.buildItems(),
+          totalPrice: this.getCalculatedTotalPrice(),
+        },
+        bubbles: true,
+      })
+    );
+  }
+
+  /**
+   * Whether the kit contains anything besides the main product
+   * @returns {Boolean}
+   */
+  hasSelectedComponents() {
+    return this.components.some(
+      (component) => component.role !== "main" && this.isSelected(component)
+    );
+  }
+
+  /**
+   * Validate the selected components
+   * @returns {Array} Error messages
+   */
+  validate() {
+    const errors = [];
+    const strings = window.theme?.strings || {};
+
+    const requiredGroups = new Set(
+      this.components
+        .filter((component) => component.group && component.required)
+        .map((component) => component.group)
+    );
+
+    requiredGroups.forEach((group) => {
+      const hasSelection = this.components.some(
+        (component) => component.group === group && this.isSelected(component)
+      );
+
+      if (!hasSelection) {
+        errors.push(strings.kit_group_required);
+      }
+    });
+
+    return errors.filter(Boolean);
+  }
+
+  /**
+   * Build /cart/add.js items in the order of the kit definition
+   * With a kit id every item is stamped with the hidden _kit_id and _kit_role line item properties,
+   * so the cart can render the lines as one kit group
+   * @param {Object} mainItem - Main product item
+   * @param {String} kitId - Shared bundle id of the kit lines (optional)
+   * @param {Array<String>} excludedKeys - Keys of selected components left out, e.g. sold out ones (optional)
+   * @returns {Array} Items
+   */
+  buildItems(mainItem = null, kitId = null, excludedKeys = []) {
+    const items = [];
+    let hasMainPosition = false;
+
+    const withKitProperties = (item, role) => {
+      if (!kitId) return item;
+
+      return {
+        ...item,
+        properties: { ...item.properties, _kit_id: kitId, _kit_role: role },
+      };
+    };
+
+    this.components.forEach((component) => {
+      if (component.role === "main") {
+        hasMainPosition = true;
+        if (mainItem) items.push(withKitProperties(mainItem, "main"));
+        return;
+      }
+
+      if (!this.isSelected(component)) return;
+      if (excludedKeys.includes(component.key)) return;
+
+      items.push(
+        withKitProperties(
+          {
+            id: parseInt(component.variant_id, 10),
+            quantity: this.getComponentQuantity(component),
+          },
+          component.role
+        )
+      );
+    });
+
+    // Main product is last when the definition doesn't position it
+    if (!hasMainPosition && mainItem) {
+      items.push(withKitProperties(mainItem, "main"));
+    }
+
+    return items;
+  }
+
+  /**
+   * Create a bundle id shared by the lines of one kit add
+   * @returns {String} Kit id
+   */
+  createKitId() {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${this.dataset.productId || "kit"}-${Date.now().toString(36)}${random}`;
+  }
+
+  /**
+   * Get the product form the kit is added with
+   * The form is rendered outside the kit builder (in quick view even outside product-form),
+   * so it is linked by id like the quantity and option inputs
+   * @returns {HTMLFormElement|null} Product form
+   */
+  getForm() {
+    const { formId } = this.dataset;
+
+    return (
+      (formId && document.getElementById(formId)) ||
+      this.closest("form") ||
+      this.closest("product-form")?.querySelector("form[data-product-form]") ||
+      null
+    );
+  }
+
+  /**
+   * Get the cart-element the kit is added through
+   * A kit rendered in a cart updates that cart, the cart page's cart is updated before the drawer
+   * @returns {HTMLElement|null} Cart element
+   */
+  getCartElement() {
+    return (
+      this.closest("cart-element") ||
+      document.querySelector("cart-element[data-cart-page]") ||
+      document.querySelector("cart-element[data-cart-drawer]")
+    );
+  }
+
+  /**
+   * Setup form submit override
+   */
+  setupFormSubmit() {
+    const form = this.getForm();
+
+    if (!form) return;
+
+    // Store form reference
+    this.form = form;
+
+    // Bind and store the handler so we can remove it later
+    this.boundHandleFormSubmit = this.handleFormSubmit.bind(this);
+
+    // Override form submit - use capture phase to run before other handlers
+    form.addEventListener("submit", this.boundHandleFormSubmit, true);
+  }
+
+  /**
+   * Handle form submit and add the kit through the cart-element API
+   * @param {Event} event - The submit event
+   */
+  handleFormSubmit(event) {
+    const cartElement = this.getCartElement();
+
+    // Only take over if the kit contains more than the main product
+    // Without the cart API the form submits normally
+    if (!this.hasSelectedComponents() || !cartElement?.addItems) {
+      return;
+    }
+
+    // Prevent default form submission and stop propagation
+    // This prevents other handlers (like ProductForm) from running
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+
+    const form = event.target;
+    const submitButton =
+      form.querySelector("[data-add-to-cart]") ||
+      form.querySelector('[type="submit"]');
+
+    if (submitButton?.hasAttribute("disabled")) return;
+
+    const errors = this.validate();
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    // The quantity rule is checked before the shortages are offered, addItems checks it again
+    if (validateFormQuantity(form)) return;
+
+    // Get main product variant ID and quantity
+    const variantIdInput = form.querySelector('input[name="id"]');
+    const quantityInput =
+      form.querySelector('input[name="quantity"]') ||
+      (form.id &&
+        document.querySelector(`input[name="quantity"][form="${form.id}"]`));
+
+    if (!variantIdInput) {
+      this.showErrors([window.theme.strings.kit_add_error]);
+      return;
+    }
+
+    const mainItem = {
+      id: parseInt(variantIdInput.value, 10),
+      quantity: quantityInput ? parseInt(quantityInput.value, 10) || 1 : 1,
+      properties: this.getFormProperties(form),
+    };
+
+    // /cart/add.js rejects the whole kit when one component is short,
+    // so the customer chooses between the available items and a notification
+    const shortages = this.getShortages();
+    if (shortages.length > 0) {
+      this.pendingAdd = { mainItem, submitButton, cartElement };
+      this.showShortages(shortages);
+      return;
+    }
+
+    const items = this.buildItems(mainItem, this.createKitId());
+
+    // Validate that all IDs are numbers
+    const invalidItems = items.filter(
+      (item) => !item.id || isNaN(item.id) || item.quantity <= 0
+    );
+    if (invalidItems.length > 0) {
+      this.showErrors([window.theme.strings.kit_add_error]);
+      return;
+    }
+
+    // Loading state, inventory errors and the drawer are handled like ordinary adds
+    cartElement.addItems(items, { button: submitButton });
+  }
+
+  /**
+   * Get the line item properties of the form, e.g. the pattern language
+   * @param {HTMLFormElement} form - Product form
+   * @returns {Object} Properties by name
+   */
+  getFormProperties(form) {
+    const properties = {};
+
+    // FormData includes the inputs linked with the form attribute
+    new FormData(form).forEach((value, name) => {
+      const match = name.match(/^properties\[(.+)\]$/);
+      if (match && typeof value === "string") {
+        properties[match[1]] = value;
+      }
+    });
+
+    return properties;
+  }
+
+  /**
+   * Setup the partial availability panel
+   */
+  setupShortage() {
+    this.shortageContainer = this.querySelector("[data-kit-shortage]");
+    this.shortageList = this.querySelector("[data-kit-shortage-list]");
+    this.addAvailableButton = this.querySelector("[data-kit-add-available]");
+    this.notifyButton = this.querySelector("[data-kit-notify]");
+
+    this.addAvailableButton?.addEventListener(
+      "click",
+      this.boundHandleAddAvailable
+    );
+    this.notifyButton?.addEventListener("click", this.boundHandleNotify);
+  }
+
+  /**
+   * Get the selected components that are sold out or short of stock
+   * @returns {Array<Object>} Shortages { component, quantity, count }
+   */
+  getShortages() {
+    return this.components
+      .filter(
+        (component) => component.role !== "main" && this.isSelected(component)
+      )
+      .map((component) => {
+        const quantity = this.getComponentQuantity(component);
+        const inventory = component.inventory_quantity;
+        const variantId = parseInt(component.variant_id, 10);
+
+        if (!variantId || component.available === false) {
+          return { component, quantity, count: 0 };
+        }
+
+        if (inventory !== null && inventory !== undefined) {
+          if (inventory < quantity) {
+            return { component, quantity, count: Math.max(inventory, 0) };
+          }
+        }
+
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the message of a shortage
+   * @param {Object} shortage - Shortage { component, quantity, count }
+   * @returns {String} Message
+   */
+  getShortageMessage({ component, quantity, count }) {
+    const strings = window.theme?.strings || {};
+    const title = component.title || component.key;
+
+    if (count === 0) {
+      return formatString(strings.kit_component_unavailable || "{{ title }}", {
+        title,
+      });
+    }
+
+    return formatString(strings.kit_component_limited || "{{ title }}", {
+      title,
+      count,
+      quantity,
+    });
+  }
+
+  /**
+   * Show the partial availability panel
+   * @param {Array<Object>} shortages - Shortages { component, quantity, count }
+   */
+  showShortages(shortages) {
+    this.shortages = shortages;
+
+    if (!this.shortageContainer) {
+      this.showErrors(
+        shortages.map((shortage) => this.getShortageMessage(shortage))
+      );
+      return;
+    }
+
+    this.shortageList.innerHTML = "";
+    shortages.forEach((shortage) => {
+      const item = document.createElement("li");
+      item.textContent = this.getShortageMessage(shortage);
+      this.shortageList.appendChild(item);
+    });
+
+    this.shortageContainer.classList.remove("hidden");
+  }
+
+  /**
+   * Hide the partial availability panel
+   */
+  hideShortages() {
+    this.shortages = [];
+    this.pendingAdd = null;
+    this.shortageContainer?.classList.add("hidden");
+  }
+
+  /**
+   * Add the kit without the components that are short of stock
+   */
+  handleAddAvailable() {
+    if (!this.pendingAdd) return;
+
+    const { mainItem, submitButton, cartElement } = this.pendingAdd;
+    const excludedKeys = this.shortages.map(({ component }) => component.key);
+    const items = this.buildItems(mainItem, this.createKitId(), excludedKeys);
+
+    this.hideShortages();
+    cartElement.addItems(items, { button: submitButton });
+  }
+
+  /**
+   * Open the back-in-stock notification for the kit, listing the missing components
+   */
+  handleNotify() {
+    const strings = window.theme?.strings || {};
+    const missing = formatString(strings.kit_notify_missing || "{{ items }}", {
+      items: this.shortages
+        .map(({ component }) => component.title || component.key)
+        .join(", "),
+    });
+
+    openNotificationPopup(this.notifyButton, (popup) => {
+      // The notification is sent for the pattern, the missing components go with it
+      const productInput = popup.querySelector(
+        'input[type="hidden"][name^="contact["]'
+      );
+      if (productInput) {
+        productInput.value = `${productInput.value} - ${missing}`;
+      }
+
+      const title = popup.querySelector(".product-notification__title");
+      if (title) {
+        const subtitle = document.createElement("p");
+        subtitle.className = "product-notification__subtitle";
+        subtitle.textContent = missing;
+        title.after(subtitle);
+      }
+    });
+  }
+
+  /**
+   * Show error messages in the kit and form error containers
+   * @param {Array} errors - Error messages
+   */
+  showErrors(errors) {
+    const message = errors.join("\n");
+    const containers = [
+      this.errorsContainer,
+      this.form?.querySelector("[data-cart-errors-container]"),
+    ].filter(Boolean);
+
+    containers.forEach((container) => {
+      container.textContent = message;
+      container.setAttribute("role", "alert");
+      container.classList.remove("hidden");
+    });
+  }
+
+  /**
+   * Clear kit error messages
+   */
+  clearErrors() {
+    if (this.errorsContainer) {
+      this.errorsContainer.textContent = "";
+    }
+
+    this.hideShortages();
+  }
+
+  /**
+   * Get price of the selected components
+   * @returns {Number} Price in cents
+   */
+  getComponentsPrice() {
+    return this.components.reduce((total, component) => {
+      if (component.role === "main" || !this.isSelected(component)) {
+        return total;
+      }
+
+      const price = parseFloat(component.price) || 0;
+      return total + price * this.getComponentQuantity(component);
+    }, 0);
+  }
+
+  /**
+   * Get calculated total price
+   * @returns {Number} Total price in cents
+   */
+  getCalculatedTotalPrice() {
+    return this.currentVariantPrice + this.getComponentsPrice();
+  }
+
+  /**
+   * Recalculate total price including all selected components
+   */
+  recalculateTotalPrice() {
+    const componentsPrice = this.getComponentsPrice();
+    this.updatePriceDisplay(
+      this.currentVariantPrice + componentsPrice,
+      componentsPrice > 0
+    );
+  }
+
+  /**
+   * Update price display in the UI
+   * @param {Number} totalPrice - Total price in cents
+   * @param {Boolean} hasComponents - Whether kit components are included
+   */
+  updatePriceDisplay(totalPrice, hasComponents) {
+    const formattedTotal = formatMoney(totalPrice);
+
+    if (!formattedTotal) {
+      console.warn("Could not format price:", totalPrice);
+      return;
+    }
+
+    if (!this.form) return;
+
+    // The element with data-product-price is the price span itself
+    let priceElements = this.form.querySelectorAll(
+      "[data-add-to-cart] [data-product-price]"
+    );
+
+    // If not found, try finding by class
+    if (priceElements.length === 0) {
+      priceElements = this.form.querySelectorAll(
+        "[data-add-to-cart] .product__price--regular"
+      );
+    }
+
+    priceElements.forEach((element) => {
+      element.textContent = formattedTotal;
+
+      // Add/remove class to indicate additional products are included
+      element.classList.toggle("price--with-pattern-product", hasComponents);
+    });
+  }
+
+  /**
+   * Remove all event listeners
+   */
+  removeEventListeners() {
+    // Remove form submit listener
+    if (this.form && this.boundHandleFormSubmit) {
+      this.form.removeEventListener("submit", this.boundHandleFormSubmit, true);
+    }
+
+    // Remove product state listener
+    if (this.productStateUnsubscriber) {
+      this.productStateUnsubscriber();
+      this.productStateUnsubscriber = null;
+    }
+
+    this.inputs.forEach((input) => {
+      input.removeEventListener("change", this.boundHandleInputChange);
+    });
+
+    this.variantInputs.forEach((input) => {
+      input.removeEventListener("change", this.boundHandleVariantInputChange);
+    });
+    this.variantInputs = [];
+
+    this.addAvailableButton?.removeEventListener(
+      "click",
+      this.boundHandleAddAvailable
+    );
+    this.notifyButton?.removeEventListener("click", this.boundHandleNotify);
+
+    if (this.marginInput) {
+      this.marginInput.removeEventListener(
+        "change",
+        this.boundHandleMarginChange
+      );
+    }
+
+    this.inputs.clear();
+    this.form = null;
+    this.boundHandleFormSubmit = null;
+  }
+}
+
+if (!customElements.get("kit-builder")) {
+  customElements.define("kit-builder", KitBuilder);
+}
+
+export default KitBuilder;
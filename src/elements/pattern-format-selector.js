@@ -0,0 +1,169 @@
+import {
+  getProductScope,
+  subscribeToProductState,
+} from "../utils/product-state.js";
+
+/**
+ * Format and language selector for pattern products
+ * Maps the printed / digital format and the pattern language to the hidden native option selectors
+ * of <variant-selects>, so the theme resolves the variant, and keeps the language line item property
+ * in sync. Products without a language option only get the property.
+ */
+class PatternFormatSelector extends HTMLElement {
+  constructor() {
+    super();
+    this.boundHandleFormatChange = this.handleFormatChange.bind(this);
+    this.boundHandleLanguageChange = this.handleLanguageChange.bind(this);
+  }
+
+  connectedCallback() {
+    this.init();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListeners();
+  }
+
+  /**
+   * Initialize inputs and the product state listener
+   */
+  init() {
+    this.formatPosition = parseInt(this.dataset.formatPosition, 10) || 0;
+    this.languagePosition = parseInt(this.dataset.languagePosition, 10) || 0;
+    this.formatInputs = Array.from(
+      this.querySelectorAll("[data-pattern-format]")
+    );
+    this.languageSelect = this.querySelector("[data-pattern-language]");
+    this.languageProperty = this.querySelector(
+      "[data-pattern-language-property]"
+    );
+    this.productScope = getProductScope(this);
+
+    this.formatInputs.forEach((input) => {
+      input.addEventListener("change", this.boundHandleFormatChange);
+    });
+    this.languageSelect?.addEventListener(
+      "change",
+      this.boundHandleLanguageChange
+    );
+
+    // Keep the selector in sync when the variant changes elsewhere, e.g. from the URL or a sibling swatch
+    this.productStateUnsubscriber = subscribeToProductState(
+      this.productScope,
+      (state) => this.syncFromVariant(state.variant)
+    );
+  }
+
+  /**
+   * Handle format change
+   * @param {Event} event - The change event
+   */
+  handleFormatChange(event) {
+    this.selectOption(this.formatPosition, event.target.value);
+  }
+
+  /**
+   * Handle language change
+   */
+  handleLanguageChange() {
+    const language = this.languageSelect.value;
+
+    this.updateLanguageProperty(language);
+    this.selectOption(this.languagePosition, language);
+  }
+
+  /**
+   * Select an option value in the hidden native option selectors
+   * The change event lets variant-selects and product-info resolve the variant
+   * @param {Number} position - Option position, 1-based
+   * @param {String} value - Option value
+   */
+  selectOption(position, value) {
+    if (!position) return;
+
+    const wrapper = this.productScope.querySelector(
+      `variant-selects [data-option-position="${position}"]`
+    );
+    if (!wrapper) return;
+
+    const escapedValue = CSS.escape(value);
+    const radio = wrapper.querySelector(
+      `input[type="radio"][value="${escapedValue}"]`
+    );
+
+    if (radio) {
+      if (radio.checked) return;
+
+      radio.checked = true;
+      radio.dispatchEvent(new Event("change", { bubbles: true }));
+      return;
+    }
+
+    // Popout selects keep the value in a hidden input
+    const popoutInput = wrapper.querySelector("[data-popout-input]");
+    const popoutItem = wrapper.querySelector(`li[value="${escapedValue}"]`);
+    if (!popoutInput || !popoutItem || popoutInput.value === value) return;
+
+    popoutInput.value = value;
+    popoutInput.dataset.optionValueId = popoutItem.dataset.optionValueId;
+    popoutInput.dataset.productUrl = popoutItem.dataset.productUrl;
+    popoutInput.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  /**
+   * Sync the format and language inputs with the resolved variant
+   * @param {Object} variant - Selected variant
+   */
+  syncFromVariant(variant) {
+    if (!variant?.options) return;
+
+    if (this.formatPosition) {
+      const format = variant.options[this.formatPosition - 1];
+      this.formatInputs.forEach((input) => {
+        input.checked = input.value === format;
+      });
+    }
+
+    if (this.languagePosition && this.languageSelect) {
+      const language = variant.options[this.languagePosition - 1];
+      if (language) {
+        this.languageSelect.value = language;
+        this.updateLanguageProperty(language);
+      }
+    }
+  }
+
+  /**
+   * Update the language line item property
+   * @param {String} language - Pattern language
+   */
+  updateLanguageProperty(language) {
+    if (this.languageProperty) {
+      this.languageProperty.value = language;
+    }
+  }
+
+  /**
+   * Remove all event listeners
+   */
+  removeEventListeners() {
+    this.formatInputs?.forEach((input) => {
+      input.removeEventListener("change", this.boundHandleFormatChange);
+    });
+    this.languageSelect?.removeEventListener(
+      "change",
+      this.boundHandleLanguageChange
+    );
+
+    if (this.productStateUnsubscriber) {
+      this.productStateUnsubscriber();
+      this.productStateUnsubscriber = null;
+    }
+  }
+}
+
+if (!customElements.get("pattern-format-selector")) {
+  customElements.define("pattern-format-selector", PatternFormatSelector);
+}
+
+export default PatternFormatSelector;
@@ -0,0 +1,412 @@
+import { expandSearchQuery, foldDiacritics } from "../utils/search-query.js";
+import { formatString } from "../utils/strings.js";
+
+/**
+ * PredictiveSearch extensions
+ * The search input follows the WAI-ARIA combobox pattern: focus stays in the input while the arrow keys,
+ * Home and End move the active option through every result group, or the popular searches while
+ * nothing is typed. Enter opens the active option and Escape steps back, first to the typed query,
+ * then out of the results. The theme's search-form moves on keyup, so its handlers are left idle.
+ */
+
+/**
+ * Whether an option stands for a search query, its text then previews in the input
+ * @param {HTMLElement} option - Option
+ * @returns {Boolean}
+ */
+function isQueryOption(option) {
+  const link = option.matches("a") ? option : option.querySelector("a[href]");
+  if (!link) return false;
+  if (link.hasAttribute("data-search-term")) return true;
+
+  return (
+    new URL(link.href, window.location.origin).pathname ===
+    window.theme.routes.searchUrl
+  );
+}
+
+/**
+ * Get the text an option previews in the input
+ * @param {HTMLElement} option - Option
+ * @returns {String} Query
+ */
+function getOptionQuery(option) {
+  const link = option.matches("a") ? option : option.querySelector("a");
+  const label = link?.querySelector("[aria-label]");
+
+  return (
+    link?.dataset.searchTerm ||
+    label?.getAttribute("aria-label") ||
+    link?.textContent ||
+    ""
+  ).trim();
+}
+
+/**
+ * Extend the search-form class, which predictive-search extends
+ * @param {Function} SearchFormBase - The search-form class
+ */
+function extendSearchForm(SearchFormBase) {
+  const originalHandleFocusableDescendants =
+    SearchFormBase.prototype.handleFocusableDescendants;
+
+  // Moving and selecting happens on keydown, see onComboboxKeydown
+  SearchFormBase.prototype.switchOption = function () {};
+  SearchFormBase.prototype.selectOption = function () {};
+
+  // The popdown resets the active option when it closes, the next navigation starts from the input
+  SearchFormBase.prototype.handleFocusableDescendants = function (
+    reset = false
+  ) {
+    if (reset) this.typedQuery = undefined;
+
+    originalHandleFocusableDescendants.call(this, reset);
+  };
+
+  /**
+   * Get the options the keys move through, the results while they're shown, the popular searches otherwise
+   * @returns {Array<HTMLElement>} Visible options
+   */
+  SearchFormBase.prototype.getComboboxOptions = function () {
+    const hasResults =
+      this.classList.contains("is-searched") &&
+      this.predictiveSearchResults &&
+      this.hasAttribute("open");
+    const container = hasResults
+      ? this.predictiveSearchResults
+      : this.popularSearches;
+
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll('[role="option"]')).filter(
+      (option) => option.offsetParent !== null
+    );
+  };
+
+  /**
+   * Handle the arrow keys, Home, End, Enter and Escape
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  SearchFormBase.prototype.onComboboxKeydown = function (event) {
+    const options = this.getComboboxOptions();
+    const index = options.indexOf(this.activeElement);
+    const hasActiveOption = index !== -1;
+
+    switch (event.code) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        event.preventDefault();
+
+        if (!options.length) {
+          // Results of the typed query which were closed, e.g. with Escape
+          if (this.getAttribute("results") === "true") this.open();
+          return;
+        }
+
+        // The input sits between the last and the first option
+        const step = event.code === "ArrowDown" ? 1 : -1;
+        const nextIndex = hasActiveOption
+          ? index + step
+          : step > 0
+            ? 0
+            : options.length - 1;
+
+        this.setActiveOption(options[nextIndex] || null);
+        break;
+      }
+
+      case "Home":
+      case "End":
+        if (!hasActiveOption) return;
+
+        event.preventDefault();
+        this.setActiveOption(
+          event.code === "Home" ? options[0] : options[options.length - 1]
+        );
+        break;
+
+      case "Enter":
+      case "NumpadEnter": {
+        if (!hasActiveOption) return;
+
+        event.preventDefault();
+
+        const option = this.activeElement;
+        const target = option.matches("a, button")
+          ? option
+          : option.querySelector("a, button");
+
+        target?.click();
+        break;
+      }
+
+      case "Escape":
+        if (hasActiveOption) {
+          this.setActiveOption(null);
+        } else if (this.predictiveSearch && this.hasAttribute("open")) {
+          this.close();
+        } else {
+          return;
+        }
+
+        event.preventDefault();
+        this.isEscapeHandled = true;
+        break;
+    }
+  };
+
+  /**
+   * Make an option the active descendant of the input
+   * Query options preview in the input, the typed query comes back once no option is active.
+   * @param {HTMLElement|null} option - Option, null for the input itself
+   * @param {Boolean} restoreQuery - Whether to put the typed query back
+   */
+  SearchFormBase.prototype.setActiveOption = function (
+    option,
+    restoreQuery = true
+  ) {
+    if (this.typedQuery === undefined) this.typedQuery = this.input.value;
+
+    this.querySelectorAll('[role="option"][aria-selected="true"]').forEach(
+      (selected) => selected.setAttribute("aria-selected", "false")
+    );
+
+    this.activeElement = option;
+    this.selectedElement = option;
+
+    if (!option) {
+      this.input.setAttribute("aria-activedescendant", "");
+      if (restoreQuery && this.typedQuery !== undefined) {
+        this.input.value = this.typedQuery;
+      }
+      this.typedQuery = undefined;
+      return;
+    }
+
+    option.setAttribute("aria-selected", "true");
+    option.scrollIntoView({ block: "nearest" });
+    this.input.setAttribute("aria-activedescendant", option.id);
+    this.input.value = isQueryOption(option)
+      ? getOptionQuery(option)
+      : this.typedQuery;
+
+    if (this.statusElement) this.statusElement.textContent = "";
+  };
+}
+
+/**
+ * Extend the predictive-search class
+ * @param {Function} PredictiveSearchBase - The predictive-search class
+ */
+function extendPredictiveSearch(PredictiveSearchBase) {
+  const originalRenderSearchResults =
+    PredictiveSearchBase.prototype.renderSearchResults;
+  const originalOpen = PredictiveSearchBase.prototype.open;
+  const originalCloseResults = PredictiveSearchBase.prototype.closeResults;
+
+  /**
+   * Give the options ids of their own, as the results markup is shared by all instances
+   * and aria-activedescendant has to point into this one
+   */
+  PredictiveSearchBase.prototype.renderSearchResults = function (
+    resultsMarkup
+  ) {
+    originalRenderSearchResults.call(this, resultsMarkup);
+
+    const suffix = `--${this.predictiveSearchResults.parentElement.id}`;
+    const listbox = this.predictiveSearchResults.querySelector(
+      "[data-search-results-wrapper]"
+    );
+
+    this.predictiveSearchResults.querySelectorAll("[id]").forEach((element) => {
+      if (element === listbox) return;
+      element.id = `${element.id}${suffix}`;
+    });
+
+    this.predictiveSearchResults
+      .querySelectorAll("[aria-labelledby]")
+      .forEach((element) => {
+        const ids = element.getAttribute("aria-labelledby").split(" ");
+        element.setAttribute(
+          "aria-labelledby",
+          ids.map((id) => `${id}${suffix}`).join(" ")
+        );
+      });
+
+    if (listbox) this.input.setAttribute("aria-controls", listbox.id);
+
+    // The previous results are gone together with their active option
+    this.activeElement = null;
+    this.selectedElement = null;
+    this.typedQuery = undefined;
+    this.input.setAttribute("aria-activedescendant", "");
+  };
+
+  PredictiveSearchBase.prototype.open = function () {
+    originalOpen.call(this);
+
+    this.input.setAttribute("aria-expanded", "true");
+  };
+
+  PredictiveSearchBase.prototype.closeResults = function (
+    clearSearchTerm = false
+  ) {
+    if (this.activeElement) this.setActiveOption(null);
+
+    originalCloseResults.call(this, clearSearchTerm);
+
+    this.input.setAttribute("aria-expanded", "false");
+  };
+}
+
+/**
+ * Read the terms and the match count of rendered results
+ * @param {String} resultsMarkup - Markup of the api-predictive-search section
+ * @returns {{terms: String, count: Number}|null} Results info, null without results wrapper
+ */
+function getResultsInfo(resultsMarkup) {
+  const element = document.createElement("div");
+  element.innerHTML = resultsMarkup;
+
+  const wrapper = element.querySelector("[data-search-results-wrapper]");
+  if (!wrapper) return null;
+
+  return {
+    terms: wrapper.dataset.searchTerms || "",
+    count: parseInt(wrapper.dataset.resultsCount, 10) || 0,
+  };
+}
+
+/**
+ * Extend the predictive-search class with the query normalizer
+ * A query without products is searched again expanded through the synonyms or corrected, and
+ * those results are shown with a notice of the term used, when they have products.
+ * @param {Function} PredictiveSearchBase - The predictive-search class
+ */
+function extendQueryExpansion(PredictiveSearchBase) {
+  const originalRenderSearchResults =
+    PredictiveSearchBase.prototype.renderSearchResults;
+
+  PredictiveSearchBase.prototype.renderSearchResults = function (
+    resultsMarkup
+  ) {
+    const info = getResultsInfo(resultsMarkup);
+    const expansion = this.searchExpansion;
+
+    const isExpansion =
+      expansion &&
+      info &&
+      foldDiacritics(info.terms) === foldDiacritics(expansion.expanded);
+
+    if (isExpansion) {
+      this.searchExpansion = null;
+
+      // The expanded results of an earlier query
+      if (expansion.query !== this.searchTerm) return;
+
+      if (!info.count) {
+        originalRenderSearchResults.call(this, expansion.resultsMarkup);
+        return;
+      }
+
+      originalRenderSearchResults.call(this, resultsMarkup);
+      this.renderExpansionNotice(expansion);
+      return;
+    }
+
+    const isCurrentQuery =
+      info && foldDiacritics(info.terms) === foldDiacritics(this.searchTerm);
+
+    if (isCurrentQuery && !info.count) {
+      const expanded = expandSearchQuery(this.searchTerm);
+
+      if (expanded) {
+        this.searchExpansion = {
+          query: this.searchTerm,
+          expanded,
+          resultsMarkup,
+        };
+        this.getSearchResults(expanded);
+        return;
+      }
+    }
+
+    originalRenderSearchResults.call(this, resultsMarkup);
+  };
+
+  /**
+   * Tell which term the results are for, on top of them and in the live region
+   * @param {Object} expansion - Typed query and expanded query
+   */
+  PredictiveSearchBase.prototype.renderExpansionNotice = function ({
+    query,
+    expanded,
+  }) {
+    const wrapper = this.predictiveSearchResults.querySelector(
+      "[data-search-results-wrapper]"
+    );
+    const notice = document.createElement("p");
+
+    notice.className = "predictive-search__notice";
+    notice.textContent = formatString(
+      window.theme.strings.search_showing_results_for,
+      { query, terms: expanded }
+    );
+
+    // Outside of the listbox, which only holds options
+    wrapper?.before(notice);
+    this.setLiveRegionText(
+      `${notice.textContent} ${this.statusElement?.textContent || ""}`.trim()
+    );
+  };
+}
+
+/**
+ * Get the search form of a search input event
+ * @param {Event} event - Event of the search input
+ * @returns {HTMLElement|null} search-form or predictive-search element
+ */
+function getSearchForm(event) {
+  const searchForm = event.target.closest?.("search-form, predictive-search");
+
+  return searchForm?.input === event.target ? searchForm : null;
+}
+
+/**
+ * Extend the search-form and predictive-search classes once they are defined
+ * The keys are delegated from the document, so search forms rendered later are covered too
+ */
+export function extendPredictiveSearchClass() {
+  customElements.whenDefined("search-form").then(() => {
+    extendSearchForm(customElements.get("search-form"));
+
+    document.addEventListener("keydown", (event) => {
+      getSearchForm(event)?.onComboboxKeydown(event);
+    });
+
+    // The header popdown closes on the keyup of Escape, a handled Escape stops there
+    document.addEventListener(
+      "keyup",
+      (event) => {
+        const searchForm = getSearchForm(event);
+        if (event.code !== "Escape" || !searchForm?.isEscapeHandled) return;
+
+        event.stopPropagation();
+        searchForm.isEscapeHandled = false;
+      },
+      true
+    );
+
+    // Typing leaves the options, keeping the new query
+    document.addEventListener("input", (event) => {
+      getSearchForm(event)?.setActiveOption(null, false);
+    });
+  });
+
+  customElements.whenDefined("predictive-search").then(() => {
+    const PredictiveSearchBase = customElements.get("predictive-search");
+
+    extendPredictiveSearch(PredictiveSearchBase);
+    extendQueryExpansion(PredictiveSearchBase);
+  });
+}
@@ -0,0 +1,155 @@
+import {
+  getQuantityRule,
+  getQuantityRuleError,
+} from "../utils/quantity-rules.js";
+
+/**
+ * QuantityCounter extensions
+ * The theme's quantity-counter only counts by one, its prototype is extended here so the buttons
+ * follow the quantity rule of the field and typed quantities are checked before any request is sent.
+ */
+
+/**
+ * Check the quantity field of a product form against its rule and show the error
+ * @param {HTMLFormElement} form - Product form
+ * @returns {String} Error message, empty when the quantity is valid or the form has no rule
+ */
+export function validateFormQuantity(form) {
+  const field = form?.elements.namedItem("quantity");
+
+  // Quick add forms send the minimum through a hidden field
+  if (!(field instanceof HTMLInputElement)) return "";
+  if (!field.matches("[data-quantity-field]")) return "";
+
+  const error = getQuantityRuleError(
+    parseInt(field.value, 10) || 0,
+    getQuantityRule(field)
+  );
+
+  field.closest("quantity-counter")?.showQuantityRuleError?.(error);
+
+  if (error) field.focus();
+
+  return error;
+}
+
+/**
+ * Keep add to cart requests with a quantity against the rule from being sent
+ * Product forms and quick add dispatch theme:cart:add on the document, so window sees it first
+ */
+function guardAddToCart() {
+  window.addEventListener(
+    "theme:cart:add",
+    (event) => {
+      const form = event.detail?.button?.closest("form");
+
+      if (validateFormQuantity(form)) {
+        event.stopImmediatePropagation();
+      }
+    },
+    true
+  );
+}
+
+/**
+ * Rebind a prototype method on quantity counters connected before the extension
+ * QuantityCounter binds its methods in connectedCallback, so existing instances keep the original
+ * @param {String} methodName - Name of the prototype method
+ */
+function rebindCounterMethod(methodName) {
+  document.querySelectorAll("quantity-counter").forEach((counter) => {
+    if (Object.prototype.hasOwnProperty.call(counter, methodName)) {
+      counter[methodName] =
+        counter.constructor.prototype[methodName].bind(counter);
+    }
+  });
+}
+
+/**
+ * Extend the quantity-counter class once it is defined
+ */
+export function extendQuantityCounterClass() {
+  guardAddToCart();
+
+  customElements.whenDefined("quantity-counter").then(() => {
+    const QuantityCounterBase = customElements.get("quantity-counter");
+    const originalUpdateQuantity = QuantityCounterBase.prototype.updateQuantity;
+
+    /**
+     * Increase to the next multiple of the step, at least to the minimum
+     */
+    QuantityCounterBase.prototype.increase = function () {
+      const { min, step } = getQuantityRule(this.field);
+      const quantity = parseInt(this.quantityValue, 10) || 0;
+
+      this.quantityValue = Math.max(
+        (Math.floor(quantity / step) + 1) * step,
+        min
+      );
+    };
+
+    /**
+     * Decrease to the previous multiple of the step
+     * Below the minimum a cart line goes to 0 and is removed, a product form stays at the minimum
+     */
+    QuantityCounterBase.prototype.decrease = function () {
+      const { min, step } = getQuantityRule(this.field);
+      const quantity = parseInt(this.quantityValue, 10) || 0;
+      const previous = (Math.ceil(quantity / step) - 1) * step;
+
+      if (previous >= min) {
+        this.quantityValue = previous;
+      } else {
+        this.quantityValue = this.cartItem ? 0 : min;
+      }
+    };
+
+    /**
+     * Check the quantity before the cart or the product form hears about it
+     */
+    QuantityCounterBase.prototype.updateQuantity = function () {
+      const quantity = parseInt(this.quantityValue, 10);
+      const error = Number.isNaN(quantity)
+        ? ""
+        : getQuantityRuleError(
+            quantity,
+            getQuantityRule(this.field),
+            Boolean(this.cartItem)
+          );
+
+      this.showQuantityRuleError(error);
+
+      if (error) {
+        this.field.value = this.quantityValue;
+        return;
+      }
+
+      originalUpdateQuantity.call(this);
+    };
+
+    /**
+     * Show or hide the quantity rule error
+     * Cart lines show it in their line error, product forms under the quantity field
+     * @param {String} message - Error message, empty to hide it
+     */
+    QuantityCounterBase.prototype.showQuantityRuleError = function (message) {
+      const error =
+        this.closest("[data-cart-item]")?.querySelector("[data-item-error]") ||
+        this.closest("[data-quantity-wrapper]")?.querySelector(
+          "[data-quantity-rule-error]"
+        );
+
+      this.field?.setCustomValidity(message);
+
+      if (!error) return;
+
+      // The line error keeps its default text for the cart's own errors
+      if (message) error.textContent = message;
+      error.hidden = !message;
+    };
+
+    rebindCounterMethod("increase");
+    rebindCounterMethod("decrease");
+    rebindCounterMethod("updateQuantity");
+  });
+}
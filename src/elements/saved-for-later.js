@@ -0,0 +1,189 @@
+import { formatMoney } from "../utils/money.js";
+import {
+  SAVED_FOR_LATER_EVENT,
+  getSavedItemKey,
+  getSavedItems,
+  mergeCustomerItems,
+  removeSavedItem,
+} from "../utils/saved-for-later.js";
+
+/**
+ * Save for later list under the cart items
+ * Renders the saved items, re-checks their stock and moves them back to the cart
+ * through the cart-element addItems API.
+ */
+class SavedForLater extends HTMLElement {
+  constructor() {
+    super();
+    this.products = new Map();
+    this.boundHandleClick = this.handleClick.bind(this);
+  }
+
+  connectedCallback() {
+    this.itemsHolder = this.querySelector("[data-saved-items]");
+    this.template = this.querySelector("[data-saved-item-template]");
+
+    this.addEventListener("click", this.boundHandleClick);
+
+    if (window.subscribe) {
+      this.savedItemsUnsubscriber = window.subscribe(
+        SAVED_FOR_LATER_EVENT,
+        ({ data }) => this.render(data.items)
+      );
+    }
+
+    this.render(getSavedItems());
+    mergeCustomerItems();
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("click", this.boundHandleClick);
+
+    if (this.savedItemsUnsubscriber) {
+      this.savedItemsUnsubscriber();
+      this.savedItemsUnsubscriber = null;
+    }
+  }
+
+  /**
+   * Render the saved items
+   * @param {Array<Object>} items - Saved items
+   */
+  render(items) {
+    if (!this.itemsHolder || !this.template) return;
+
+    this.itemsHolder.innerHTML = "";
+    this.hidden = items.length === 0;
+
+    items.forEach((item) => {
+      const fragment = this.template.content.cloneNode(true);
+      const element = fragment.querySelector("[data-saved-item]");
+      const image = element.querySelector("[data-saved-item-image]");
+      const meta = [
+        item.variant_title,
+        ...Object.entries(item.properties || {})
+          .filter(([name, value]) => !name.startsWith("_") && value)
+          .map(([name, value]) => `${name}: ${value}`),
+      ].filter(Boolean);
+
+      element.dataset.key = getSavedItemKey(item);
+      element.querySelectorAll("[data-saved-item-link]").forEach((link) => {
+        link.href = item.url;
+      });
+      element.querySelector("[data-saved-item-title]").textContent = item.title;
+      element.querySelector("[data-saved-item-meta]").textContent =
+        meta.join(" / ");
+
+      if (item.image) {
+        image.src = item.image;
+        image.alt = item.title;
+      } else {
+        image.remove();
+      }
+
+      this.itemsHolder.appendChild(fragment);
+      this.checkStock(item, element);
+    });
+  }
+
+  /**
+   * Re-check the stock and price of a saved item
+   * The product JSON is fetched once per product and page
+   * @param {Object} item - Saved item
+   * @param {HTMLElement} element - Rendered item
+   */
+  checkStock(item, element) {
+    if (!this.products.has(item.handle)) {
+      this.products.set(
+        item.handle,
+        fetch(`${window.theme.routes.root}products/${item.handle}.js`)
+          .then((response) => (response.ok ? response.json() : null))
+          .catch(() => null)
+      );
+    }
+
+    this.products.get(item.handle).then((product) => {
+      const variant = product?.variants.find(
+        (productVariant) => productVariant.id === item.variant_id
+      );
+      const isAvailable = Boolean(variant?.available);
+
+      element.classList.toggle("is-sold-out", !isAvailable);
+      element.querySelector("[data-saved-item-sold-out]").hidden = isAvailable;
+      element.querySelector("[data-saved-item-move]").disabled = !isAvailable;
+
+      if (variant) {
+        element.querySelector("[data-saved-item-price]").textContent =
+          formatMoney(variant.price * item.quantity);
+      }
+    });
+  }
+
+  /**
+   * Handle the item buttons
+   * @param {Event} event - The click event
+   */
+  handleClick(event) {
+    const moveButton = event.target.closest("[data-saved-item-move]");
+    const removeButton = event.target.closest("[data-saved-item-remove]");
+    const element = event.target.closest("[data-saved-item]");
+
+    if (!element) return;
+
+    if (removeButton) {
+      removeSavedItem(element.dataset.key);
+    } else if (moveButton) {
+      this.moveToCart(element, moveButton);
+    }
+  }
+
+  /**
+   * Move a saved item back to the cart with its quantity and properties
+   * @param {HTMLElement} element - Rendered item
+   * @param {HTMLElement} button - Move button
+   */
+  moveToCart(element, button) {
+    const item = getSavedItems().find(
+      (savedItem) => getSavedItemKey(savedItem) === element.dataset.key
+    );
+    const cartElement =
+      this.closest("cart-element") || document.querySelector("cart-element");
+    const errorMessage = element.querySelector("[data-saved-item-error]");
+
+    if (!item || typeof cartElement?.addItems !== "function") return;
+
+    button.classList.add("is-loading");
+    button.disabled = true;
+    errorMessage.hidden = true;
+
+    cartElement
+      .addItems(
+        [
+          {
+            id: item.variant_id,
+            quantity: item.quantity,
+            properties: item.properties,
+          },
+        ],
+        { showError: false }
+      )
+      .then((response) => {
+        button.classList.remove("is-loading");
+        button.disabled = false;
+
+        if (!response || response.status) {
+          errorMessage.textContent = response?.description || "";
+          errorMessage.hidden = !errorMessage.textContent;
+          return;
+        }
+
+        removeSavedItem(element.dataset.key);
+      });
+  }
+}
+
+if (!customElements.get("saved-for-later")) {
+  customElements.define("saved-for-later", SavedForLater);
+}
+
+export default SavedForLater;
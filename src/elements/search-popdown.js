@@ -0,0 +1,289 @@
+import {
+  addSearchQuery,
+  addSearchResult,
+  clearSearchHistory,
+  getSearchHistory,
+} from "../utils/search-history.js";
+import {
+  getSearchRedirect,
+  redirectSearch,
+} from "../utils/search-redirects.js";
+
+/**
+ * SearchPopdown extensions
+ * The theme's search-popdown only shows the popular searches menu, its prototype is extended here
+ * with the visitor's recent searches and the trending searches. Their options use the markup of the
+ * popular searches, so the search form's arrow key navigation and Enter selection cover them.
+ */
+
+// The trending searches file is loaded once per page
+const trendingSearches = new Map();
+
+/**
+ * Load the trending searches file
+ * Entries are terms, or objects with a term and an optional url
+ * @param {String} url - File url
+ * @returns {Promise<Array<Object>>} Entries with a term and an optional url
+ */
+function getTrendingSearches(url) {
+  if (!trendingSearches.has(url)) {
+    trendingSearches.set(
+      url,
+      fetch(url)
+        .then((response) => (response.ok ? response.json() : []))
+        .then((entries) =>
+          (Array.isArray(entries) ? entries : [])
+            .map((entry) =>
+              typeof entry === "string" ? { term: entry } : entry
+            )
+            .filter((entry) => typeof entry?.term === "string" && entry.term)
+        )
+        .catch((error) => {
+          console.log(error);
+          return [];
+        })
+    );
+  }
+
+  return trendingSearches.get(url);
+}
+
+/**
+ * Create a search option like the popular searches ones
+ * Terms are searched through the search form, urls are followed
+ * @param {Object} entry - Entry with a term, or a title and url
+ * @param {String} id - Option id, referenced by aria-activedescendant
+ * @returns {HTMLElement} Option
+ */
+function createSearchOption(entry, id) {
+  const item = document.createElement("div");
+  const link = document.createElement("a");
+
+  item.className = "predictive-search__item";
+  item.id = id;
+  item.setAttribute("role", "option");
+  item.setAttribute("aria-selected", "false");
+
+  link.className = "predictive-search__link";
+  link.tabIndex = -1;
+
+  if (entry.url) {
+    link.href = entry.url;
+    link.textContent = entry.title || entry.term;
+  } else {
+    link.href = `${window.theme.routes.searchUrl}?q=${encodeURIComponent(entry.term)}`;
+    link.textContent = entry.term;
+    link.dataset.searchTerm = entry.term;
+  }
+
+  item.append(link);
+  return item;
+}
+
+/**
+ * Record the predictive search result or query suggestion a visitor clicks
+ * @param {HTMLAnchorElement} link - Clicked result link
+ */
+function recordSearchResult(link) {
+  const url = new URL(link.href, window.location.origin);
+
+  if (url.pathname === window.theme.routes.searchUrl) {
+    addSearchQuery(url.searchParams.get("q"));
+    return;
+  }
+
+  addSearchResult(
+    link.getAttribute("aria-label") || link.textContent,
+    link.href
+  );
+}
+
+/**
+ * Extend the search-form class, which predictive-search extends too, to record submitted queries
+ * and send the ones with a redirect rule to their page instead of the search results
+ * Popular searches are submitted without a submit event, through submit()
+ */
+function extendSearchFormClass() {
+  customElements.whenDefined("search-form").then(() => {
+    const SearchFormBase = customElements.get("search-form");
+    const originalSubmit = SearchFormBase.prototype.submit;
+
+    SearchFormBase.prototype.submit = function () {
+      const query = this.getQuery();
+
+      addSearchQuery(query);
+      if (redirectSearch(query, "submit")) return;
+
+      originalSubmit.call(this);
+    };
+  });
+
+  document.addEventListener("submit", (event) => {
+    if (event.defaultPrevented) return;
+
+    const searchForm = event.target.closest("search-form, predictive-search");
+    if (!searchForm) return;
+
+    const query = searchForm.getQuery();
+
+    addSearchQuery(query);
+    if (redirectSearch(query, "submit")) event.preventDefault();
+  });
+
+  redirectSearchPage();
+}
+
+/**
+ * Redirect a search results page opened with a redirected query, e.g. from a search engine or a link
+ */
+function redirectSearchPage() {
+  const { searchUrl } = window.theme.routes;
+  if (window.location.pathname !== searchUrl) return;
+
+  const query = new URLSearchParams(window.location.search).get("q");
+  const url = getSearchRedirect(query);
+
+  // A rule pointing to the search results would redirect forever
+  if (!url || new URL(url, window.location.origin).pathname === searchUrl) {
+    return;
+  }
+
+  redirectSearch(query, "landing", true);
+}
+
+/**
+ * Extend the search-popdown class once it is defined
+ */
+export function extendSearchPopdownClass() {
+  extendSearchFormClass();
+
+  customElements.whenDefined("search-popdown").then(() => {
+    const SearchPopdownBase = customElements.get("search-popdown");
+    const originalConnectedCallback =
+      SearchPopdownBase.prototype.connectedCallback;
+
+    SearchPopdownBase.prototype.connectedCallback = function () {
+      originalConnectedCallback.call(this);
+
+      this.setupSearchHistory();
+    };
+
+    /**
+     * Render the recent and trending searches and listen to their options
+     * The history can change in another popdown or tab, so it's rendered again on focus
+     */
+    SearchPopdownBase.prototype.setupSearchHistory = function () {
+      if (this.searchHistoryClick) return;
+
+      this.recentSearches = this.querySelector("[data-recent-searches]");
+      this.trendingSearches = this.querySelector("[data-trending-searches]");
+
+      this.searchHistoryClick = (event) => this.onSearchHistoryClick(event);
+      this.searchHistoryFocus = () => this.renderRecentSearches();
+
+      this.addEventListener("click", this.searchHistoryClick);
+      this.addEventListener("focusin", this.searchHistoryFocus);
+
+      this.renderRecentSearches();
+      this.renderTrendingSearches();
+    };
+
+    /**
+     * Handle the clear history button, the search term options and the predictive search results
+     * @param {Event} event - The click event
+     */
+    SearchPopdownBase.prototype.onSearchHistoryClick = function (event) {
+      const clearButton = event.target.closest("[data-recent-searches-clear]");
+      const termLink = event.target.closest("[data-search-term]");
+      const resultLink = event.target.closest(
+        "[data-predictive-search-results] a[href]"
+      );
+
+      if (clearButton) {
+        event.preventDefault();
+        clearSearchHistory();
+        this.renderRecentSearches();
+
+        // The cleared option was the active descendant of the input
+        this.searchFormWrapper.handleFocusableDescendants(true);
+        this.searchFormWrapper.input.focus();
+        return;
+      }
+
+      if (termLink) {
+        event.preventDefault();
+        this.searchFormWrapper.input.value = termLink.dataset.searchTerm;
+        this.searchFormWrapper.submit();
+        return;
+      }
+
+      if (!resultLink) return;
+
+      recordSearchResult(resultLink);
+
+      // Query suggestions link to the search results
+      const url = new URL(resultLink.href, window.location.origin);
+      if (
+        url.pathname === window.theme.routes.searchUrl &&
+        redirectSearch(url.searchParams.get("q"), "suggestion")
+      ) {
+        event.preventDefault();
+      }
+    };
+
+    /**
+     * Render the recent searches, hidden while the history is empty
+     */
+    SearchPopdownBase.prototype.renderRecentSearches = function () {
+      if (!this.recentSearches) return;
+
+      const limit = parseInt(this.recentSearches.dataset.limit, 10) || 5;
+      const entries = getSearchHistory().slice(0, limit);
+      const key = JSON.stringify(entries);
+
+      // Options are only replaced on changes, a click on them focuses them first
+      if (key === this.recentSearchesKey) return;
+      this.recentSearchesKey = key;
+
+      this.recentSearches
+        .querySelector("[data-recent-searches-list]")
+        .replaceChildren(
+          ...entries.map((entry, index) =>
+            createSearchOption(entry, `${this.recentSearches.id}-${index + 1}`)
+          )
+        );
+      this.recentSearches.hidden = !entries.length;
+    };
+
+    /**
+     * Render the trending searches of the uploaded file, the metaobject ones are rendered by Liquid
+     */
+    SearchPopdownBase.prototype.renderTrendingSearches = function () {
+      const url = this.trendingSearches?.dataset.trendingSearchesUrl;
+      if (!url) return;
+
+      const limit = parseInt(this.trendingSearches.dataset.limit, 10) || 15;
+
+      getTrendingSearches(url).then((entries) => {
+        this.trendingSearches
+          .querySelector("[data-trending-searches-list]")
+          .replaceChildren(
+            ...entries
+              .slice(0, limit)
+              .map((entry, index) =>
+                createSearchOption(
+                  entry,
+                  `${this.trendingSearches.id}-${index + 1}`
+                )
+              )
+          );
+        this.trendingSearches.hidden = !entries.length;
+      });
+    };
+
+    // Search popdowns connected before the extension
+    document
+      .querySelectorAll("search-popdown")
+      .forEach((popdown) => popdown.setupSearchHistory());
+  });
+}
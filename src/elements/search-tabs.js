@@ -0,0 +1,159 @@
+/**
+ * Search page tabs extensions
+ * The theme's tabs-component already loads the Products, Articles and Pages tabs through the search
+ * section and pushes their url, its prototype is extended here with the result count of every tab.
+ * A search for all types opens the first tab with results instead of the mixed results, and
+ * collection-filters, which only renders the products tab, always asks for products.
+ */
+
+const COUNT_SECTION_ID = "api-search-count";
+
+// Counts don't change while the page is open, so each type is requested once
+const searchCounts = new Map();
+
+/**
+ * Get the number of results of a type
+ * @param {String} terms - Search terms
+ * @param {String} type - "product", "article" or "page"
+ * @returns {Promise<Number|null>} Result count, null when it couldn't be loaded
+ */
+function getSearchCount(terms, type) {
+  const params = new URLSearchParams({
+    q: terms,
+    "options[prefix]": "last",
+    type,
+    section_id: COUNT_SECTION_ID,
+  });
+  const url = `${window.theme.routes.searchUrl}?${params}`;
+
+  if (!searchCounts.has(url)) {
+    searchCounts.set(
+      url,
+      fetch(url)
+        .then((response) => (response.ok ? response.text() : ""))
+        .then((html) => {
+          const element = document.createElement("div");
+          element.innerHTML = html;
+
+          const count = parseInt(
+            element.querySelector("[data-search-count]")?.textContent,
+            10
+          );
+
+          return Number.isNaN(count) ? null : count;
+        })
+        .catch((error) => {
+          console.log(error);
+          searchCounts.delete(url);
+
+          return null;
+        })
+    );
+  }
+
+  return searchCounts.get(url);
+}
+
+/**
+ * Make filter and sort params search products only
+ * The search form sends every searched type, which would render the mixed results
+ * @param {String} params - Query string of the search and filters forms
+ * @returns {String} Query string with the product type
+ */
+function getProductSearchParams(params) {
+  const searchParams = new URLSearchParams(params);
+
+  [...searchParams.entries()].forEach(([name, value]) => {
+    if (value === "") searchParams.delete(name);
+  });
+  searchParams.delete("page");
+  searchParams.set("type", "product");
+
+  return searchParams.toString();
+}
+
+/**
+ * Extend the collection-filters class to keep the search page filters on the products tab
+ */
+function extendCollectionFiltersClass() {
+  customElements.whenDefined("collection-filters").then(() => {
+    const CollectionFiltersBase = customElements.get("collection-filters");
+    const originalRenderSection = CollectionFiltersBase.prototype.renderSection;
+
+    CollectionFiltersBase.prototype.renderSection = function (params, ...args) {
+      originalRenderSection.call(
+        this,
+        this.isSearchPage ? getProductSearchParams(params) : params,
+        ...args
+      );
+    };
+  });
+}
+
+export function extendSearchTabsClass() {
+  extendCollectionFiltersClass();
+
+  customElements.whenDefined("tabs-component").then(() => {
+    const TabsBase = customElements.get("tabs-component");
+
+    /**
+     * Load the counts of the tabs the page doesn't show, Liquid renders the current one
+     * The products count follows the filters through collection-filters' data-products-count
+     */
+    TabsBase.prototype.setupSearchCounts = function () {
+      if (!this.isSearchPage || this.searchCountLinks) return;
+
+      const { searchTerms } = this.closest("[data-search-performed]").dataset;
+
+      this.searchCountLinks = Array.from(
+        this.querySelectorAll("[data-tabs-link][data-type]")
+      );
+
+      const requests = this.searchCountLinks.map((link) => {
+        const { type } = link.dataset;
+        if (type === this.currentType) return Promise.resolve(null);
+
+        return getSearchCount(searchTerms, type).then((count) => {
+          const element = link.querySelector("[data-search-count]");
+          if (element && count !== null) element.textContent = `(${count})`;
+
+          return count;
+        });
+      });
+
+      if (!this.searchForAllTypes) return;
+
+      Promise.all(requests).then((counts) => {
+        const link = this.searchCountLinks[counts.findIndex((count) => count)];
+        if (link) this.openSearchTab(link);
+      });
+    };
+
+    /**
+     * Open a tab in place of the mixed results
+     * The url is replaced, going back to the mixed results would open the tab again
+     * @param {HTMLElement} link - Tab link
+     */
+    TabsBase.prototype.openSearchTab = function (link) {
+      const tab = this.querySelector(
+        `[data-tab="${link.getAttribute("data-tabs-link")}"]`
+      );
+
+      // The customer opened a tab already
+      if (!tab || this.querySelector(".current[data-tabs-link]")) return;
+
+      this.handleURLSearchParams({ target: link }, false);
+      history.replaceState(
+        { searchParams: this.searchParams },
+        "",
+        `${window.location.pathname}?${this.searchParams}`
+      );
+      this.tabChange(link, tab);
+    };
+
+    // The search page tabs are connected before the extension
+    document
+      .querySelectorAll("tabs-component")
+      .forEach((tabs) => tabs.setupSearchCounts());
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Cart upsells ranked from the cart contents
+ * Every product in the cart asks the product recommendations endpoint for its complementary products,
+ * rendered by the api-cart-upsells section. The results are merged and ranked by the number of cart
+ * products recommending them.
+ */
+
+const SECTION_ID = "api-cart-upsells";
+const RECOMMENDATIONS_LIMIT = 10;
+
+// Recommendations don't depend on the cart, so each product is requested once per page
+const recommendations = new Map();
+
+/**
+ * Get the rendered recommendations of a product
+ * @param {String} productId - Product id
+ * @returns {Promise<Array<HTMLElement>>} Upsell holders, sold-out products already left out
+ */
+function getProductRecommendations(productId) {
+  if (!recommendations.has(productId)) {
+    const url = `${window.theme.routes.product_recommendations_url}?section_id=${SECTION_ID}&product_id=${productId}&limit=${RECOMMENDATIONS_LIMIT}&intent=complementary`;
+
+    recommendations.set(
+      productId,
+      fetch(url)
+        .then((response) => (response.ok ? response.text() : ""))
+        .then((html) => {
+          const element = document.createElement("div");
+          element.innerHTML = html;
+
+          return Array.from(
+            element.querySelectorAll("[data-upsell-holder][data-product-id]")
+          );
+        })
+        .catch((error) => {
+          console.log(error);
+          recommendations.delete(productId);
+
+          return [];
+        })
+    );
+  }
+
+  return recommendations.get(productId);
+}
+
+/**
+ * Get the complementary products of the cart, the most recommended first
+ * Ties keep the order of the cart lines and of the recommendations
+ * @param {Array<String>} productIds - Product ids of the cart lines
+ * @param {Number} limit - Maximum number of products
+ * @returns {Promise<Array<HTMLElement>>} Copies of the upsell holders
+ */
+export function getCartRecommendations(productIds, limit) {
+  const cartProductIds = [...new Set(productIds)];
+
+  return Promise.all(cartProductIds.map(getProductRecommendations)).then(
+    (results) => {
+      const ranking = new Map();
+
+      results.forEach((holders) => {
+        holders.forEach((holder) => {
+          const { productId } = holder.dataset;
+          if (cartProductIds.includes(productId)) return;
+
+          const entry = ranking.get(productId);
+          if (entry) {
+            entry.count += 1;
+          } else {
+            ranking.set(productId, { holder, count: 1 });
+          }
+        });
+      });
+
+      return Array.from(ranking.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(({ holder }) => holder.cloneNode(true));
+    }
+  );
+}
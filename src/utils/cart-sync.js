@@ -0,0 +1,64 @@
+/**
+ * Cart changes across tabs
+ * Every tab announces its cart changes through a BroadcastChannel, browsers without it get them
+ * through the storage event. Neither reaches the tab which made the change.
+ */
+
+/**
+ * @typedef {Object} CartChange
+ * @property {Boolean} hasItems - Whether the cart has items after the change
+ * @property {Number} timestamp - Time of the change
+ */
+
+const CHANNEL_NAME = "theme:cart";
+const STORAGE_KEY = "theme:cart-change";
+
+const channel =
+  "BroadcastChannel" in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Announce a cart change to the other tabs
+ * @param {Object} data - Change data, see CartChange
+ */
+export function publishCartChange(data) {
+  const change = { ...data, timestamp: Date.now() };
+
+  if (channel) {
+    channel.postMessage(change);
+    return;
+  }
+
+  try {
+    // The timestamp changes the value, so the storage event fires every time
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(change));
+  } catch (e) {
+    console.warn("Failed to store cart change:", e);
+  }
+}
+
+/**
+ * Listen to the cart changes of the other tabs
+ * @param {Function} callback - Called with the CartChange
+ * @returns {Function} Unsubscriber
+ */
+export function subscribeCartChanges(callback) {
+  if (channel) {
+    const onMessage = (event) => callback(event.data);
+
+    channel.addEventListener("message", onMessage);
+    return () => channel.removeEventListener("message", onMessage);
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      callback(JSON.parse(event.newValue));
+    } catch (e) {
+      console.warn("Failed to parse cart change:", e);
+    }
+  };
+
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
@@ -0,0 +1,196 @@
+import { formatMoney } from "./money.js";
+import { formatString } from "./strings.js";
+
+/**
+ * Discount codes arriving with links and reasons for rejected codes
+ * A code from a ?discount= link, a /discount/CODE link or the discount cookie Shopify sets for them
+ * waits in localStorage until the cart has items. Shopify only tells whether a code applies, the
+ * reasons come from the discount_rule metaobjects rendered by the discount snippet.
+ */
+
+/**
+ * @typedef {Object} DiscountRule
+ * @property {Number} minimum - Minimum subtotal in cents of the shop currency, 0 without minimum
+ * @property {Number|null} endsAt - End of the discount in milliseconds
+ * @property {Boolean} combinable - Whether the code combines with other codes
+ */
+
+const STORAGE_KEY = "theme:discount-code";
+const COOKIE_STORAGE_KEY = "theme:discount-cookie";
+
+/**
+ * Read a localStorage value
+ * @param {String} key - Storage key
+ * @returns {String|null} Value
+ */
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write or clear a localStorage value
+ * @param {String} key - Storage key
+ * @param {String|null} value - Value, null to clear it
+ */
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (e) {
+    console.warn("Failed to store discount code:", e);
+  }
+}
+
+/**
+ * Get the code of the discount cookie once
+ * The cookie lasts for the session, a code the customer removed from the cart isn't applied again
+ * @returns {String} Discount code, empty when there is none or it was already taken
+ */
+function getCookieDiscountCode() {
+  const match = document.cookie.match(/(?:^|;\s*)discount_code=([^;]*)/);
+  if (!match) return "";
+
+  const code = decodeURIComponent(match[1]).trim();
+  if (!code || readStorage(COOKIE_STORAGE_KEY) === code) return "";
+
+  writeStorage(COOKIE_STORAGE_KEY, code);
+  return code;
+}
+
+/**
+ * Keep the discount code of the page link until the cart has items
+ * The ?discount= parameter is dropped from the address, so a reload doesn't bring a removed code back
+ */
+export function storeLinkedDiscountCode() {
+  const url = new URL(window.location.href);
+  const pathMatch = url.pathname.match(/\/discount\/([^/]+)/);
+  const code = (
+    url.searchParams.get("discount") ||
+    (pathMatch ? decodeURIComponent(pathMatch[1]) : "") ||
+    getCookieDiscountCode()
+  ).trim();
+
+  if (url.searchParams.has("discount")) {
+    url.searchParams.delete("discount");
+    window.history.replaceState(window.history.state, "", url.toString());
+  }
+
+  if (code) writeStorage(STORAGE_KEY, code);
+}
+
+/**
+ * Get the stored discount code
+ * @returns {String} Discount code, empty when there is none
+ */
+export function getPendingDiscountCode() {
+  return readStorage(STORAGE_KEY) || "";
+}
+
+/**
+ * Clear the stored discount code once the cart answered for it
+ * A newer code from another link stays
+ * @param {String} code - Discount code that was applied
+ */
+export function clearPendingDiscountCode(code) {
+  if (code && getPendingDiscountCode() === code)
+    writeStorage(STORAGE_KEY, null);
+}
+
+/**
+ * Hash a discount code like the discount snippet does with the sha256 filter
+ * @param {String} code - Discount code
+ * @returns {Promise<String|null>} Hex digest, null where the browser can't hash
+ */
+function hashDiscountCode(code) {
+  if (!window.crypto?.subtle) return Promise.resolve(null);
+
+  const data = new TextEncoder().encode(code.trim().toUpperCase());
+
+  return window.crypto.subtle
+    .digest("SHA-256", data)
+    .then((digest) =>
+      Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("")
+    );
+}
+
+/**
+ * Find the rule of a discount code
+ * @param {String} code - Discount code
+ * @returns {Promise<DiscountRule|null>} Rule, null when the code has none
+ */
+function getDiscountRule(code) {
+  const script = document.querySelector("[data-discount-rules]");
+  if (!script) return Promise.resolve(null);
+
+  let rules;
+  try {
+    rules = JSON.parse(script.textContent);
+  } catch (e) {
+    console.warn("Failed to parse discount rules:", e);
+    return Promise.resolve(null);
+  }
+
+  return hashDiscountCode(code).then((hash) => (hash && rules[hash]) || null);
+}
+
+/**
+ * Explain why Shopify rejected a discount code
+ * A code without rule which is rejected next to other codes is taken as not combinable.
+ * @param {String} code - Rejected discount code
+ * @param {Object} cart - Cart of the discount update response
+ * @returns {Promise<String>} Reason, empty when it's unknown
+ */
+export function getDiscountRejection(code, cart) {
+  const strings = window.theme?.strings || {};
+  const lowerCode = code.toLowerCase();
+  const otherCodes = (cart.discount_codes || [])
+    .filter(
+      (discount) =>
+        discount.applicable && discount.code.toLowerCase() !== lowerCode
+    )
+    .map((discount) => discount.code);
+
+  return getDiscountRule(code)
+    .then((rule) => {
+      if (rule?.endsAt && rule.endsAt < Date.now()) {
+        return formatString(strings.discount_expired, { code });
+      }
+
+      if (rule?.minimum) {
+        // Rules are in the shop currency, the cart in the customer's
+        const rate = Number(window.Shopify?.currency?.rate) || 1;
+        const missing = Math.ceil(
+          rule.minimum * rate - cart.items_subtotal_price
+        );
+
+        if (missing > 0) {
+          return formatString(strings.discount_minimum, {
+            code,
+            amount: formatMoney(missing),
+          });
+        }
+      }
+
+      if (otherCodes.length && !rule?.combinable) {
+        return formatString(strings.discount_not_combinable, {
+          code,
+          codes: otherCodes.join(", "),
+        });
+      }
+
+      return "";
+    })
+    .catch((error) => {
+      console.log(error);
+      return "";
+    });
+}
@@ -0,0 +1,81 @@
+/**
+ * Free shipping thresholds per market
+ * The cart settings hold a threshold table in local currencies and rounding steps per currency,
+ * window.theme.freeShipping carries them with the Markets context of the page.
+ * Markets without a threshold convert the shop currency limit and round it up, so buyers don't see odd amounts.
+ */
+
+/**
+ * @typedef {Object} FreeShippingContext
+ * @property {String} thresholds - Threshold lines, e.g. "PL: 200"
+ * @property {String} rounding - Rounding lines, e.g. "PLN: 10"
+ * @property {String} country - Country iso code of the Markets context
+ * @property {String} market - Market handle of the Markets context
+ * @property {String} currency - Presentment currency iso code
+ */
+
+/**
+ * Parse "key: value" lines of a textarea setting
+ * @param {String} text - Setting value
+ * @returns {Map<String, Number>} Values by lowercase key
+ */
+function parseRules(text) {
+  const rules = new Map();
+
+  (text || "").split(/\r?\n/).forEach((line) => {
+    const [key, value] = line.split(":").map((part) => part.trim());
+    const number = parseFloat((value || "").replace(",", "."));
+
+    if (key && number > 0) {
+      rules.set(key.toLowerCase(), number);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Get the Markets context of the page
+ * @returns {FreeShippingContext} Context
+ */
+function getContext() {
+  return {
+    currency: window.theme?.current_iso_code,
+    ...window.theme?.freeShipping,
+  };
+}
+
+/**
+ * Convert a shop currency amount to the presentment currency
+ * Converted amounts are rounded up to the step of the currency
+ * @param {Number} cents - Amount in the shop currency, in cents
+ * @returns {Number} Amount in the presentment currency, in cents
+ */
+export function convertShopAmount(cents) {
+  const rate = Number(window.Shopify?.currency?.rate) || 1;
+  if (rate === 1) return cents;
+
+  const { rounding, currency } = getContext();
+  const step = parseRules(rounding).get((currency || "").toLowerCase()) || 1;
+
+  return Math.ceil((cents * rate) / 100 / step) * step * 100;
+}
+
+/**
+ * Get the free shipping threshold of the current market
+ * The country wins over the market, the market over the currency
+ * @param {Number} limit - Shop currency limit, in whole units like the data-limit attribute
+ * @returns {Number} Threshold in the presentment currency, in cents
+ */
+export function getFreeShippingLimit(limit) {
+  const { thresholds, country, market, currency } = getContext();
+  const table = parseRules(thresholds);
+  const key = [country, market, currency]
+    .filter(Boolean)
+    .map((value) => value.toLowerCase())
+    .find((value) => table.has(value));
+
+  if (key) return table.get(key) * 100;
+
+  return convertShopAmount(limit * 100);
+}
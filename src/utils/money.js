@@ -0,0 +1,23 @@
+/**
+ * Format price from cents to currency string
+ * @param {Number} priceInCents - Price in cents
+ * @returns {String} Formatted price
+ */
+export function formatMoney(priceInCents) {
+  const format =
+    window.theme?.moneyFormat || window.theme?.moneyWithCurrencyFormat;
+
+  // Use Shopify's formatMoney function if available
+  if (window.Shopify && window.Shopify.formatMoney) {
+    return window.Shopify.formatMoney(priceInCents, format);
+  }
+
+  // Use theme's formatMoney if available
+  if (window.theme && window.theme.formatMoney) {
+    return window.theme.formatMoney(priceInCents, format);
+  }
+
+  // Fallback formatting
+  const price = (priceInCents / 100).toFixed(2);
+  return `$${price}`;
+}
@@ -0,0 +1,49 @@
+/**
+ * Back-in-stock notification popup
+ * The theme's NotificationPopup isn't exported from theme.js, so the api-notification section
+ * is loaded into window.theme.LoadPhotoswipe with the same options and template.
+ * LoadNotification then handles the form like for sold out variants.
+ */
+
+const templateIndex = 1;
+
+const options = {
+  history: false,
+  focus: false,
+  mainClass: "pswp--notification pswp--not-close-btn",
+  closeOnVerticalDrag: false,
+};
+
+/**
+ * Open the notification popup of a product
+ * @param {HTMLElement} button - Trigger with data-handle and data-variant-id
+ * @param {Function} transform - Called with the popup content element before it opens (optional)
+ * @returns {Promise} Resolves once the popup is opened
+ */
+export function openNotificationPopup(button, transform = null) {
+  const handle = button.getAttribute("data-handle");
+  const variantId = button.getAttribute("data-variant-id");
+
+  if (window.theme?.a11y) {
+    window.theme.a11y.state.trigger = button;
+  }
+
+  const variantParam = variantId ? `&variant=${variantId}` : "";
+  const url = `${window.theme.routes.root}products/${handle}?section_id=api-notification${variantParam}`;
+
+  return fetch(url)
+    .then((response) => response.text())
+    .then((html) => {
+      const element = document.createElement("div");
+      element.innerHTML = html;
+
+      if (transform) transform(element);
+
+      new window.theme.LoadPhotoswipe(
+        [{ html: element.innerHTML }],
+        options,
+        templateIndex
+      );
+    })
+    .catch((error) => console.log("error: ", error));
+}
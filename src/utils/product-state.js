@@ -0,0 +1,115 @@
+/**
+ * Product state store
+ * Holds the resolved variant of every product form on the page, scoped per product container,
+ * so the main product and quick view popups don't cross-talk.
+ * VariantSelects publishes to the store through window.publish, subscribers get the state synchronously.
+ */
+
+/**
+ * @typedef {Object} ProductVariant
+ * @property {Number} id - Variant id
+ * @property {String} title - Variant title, e.g. "M / Red"
+ * @property {Array<String>} options - Option values
+ * @property {Number} price - Price in cents
+ * @property {Boolean} available - Whether the variant can be bought
+ */
+
+/**
+ * @typedef {Object} ProductState
+ * @property {HTMLElement} scope - Product container the state belongs to
+ * @property {ProductVariant|null} variant - Resolved selected variant
+ * @property {Array<String>} selectedOptionValues - Selected option value ids
+ */
+
+export const PRODUCT_STATE_EVENT = "product-state-change";
+
+const states = new WeakMap();
+
+/**
+ * Register the store event next to the theme's pub/sub events
+ */
+if (window.theme?.PUB_SUB_EVENTS) {
+  window.theme.PUB_SUB_EVENTS.productStateChange = PRODUCT_STATE_EVENT;
+}
+
+/**
+ * Get the product container an element belongs to
+ * @param {HTMLElement} element - Element inside a product form
+ * @returns {HTMLElement} Scope element
+ */
+export function getProductScope(element) {
+  return (
+    element.closest("product-info") ||
+    element.closest("product-form") ||
+    document.documentElement
+  );
+}
+
+/**
+ * Get the current state of a product scope
+ * @param {HTMLElement} scope - Scope element
+ * @returns {ProductState|undefined} Product state
+ */
+export function getProductState(scope) {
+  return states.get(scope);
+}
+
+/**
+ * Update the state of a product scope and publish it
+ * Nothing is published when the resolved variant didn't change
+ * @param {HTMLElement} scope - Scope element
+ * @param {Object} update - Partial product state
+ * @returns {ProductState} Updated product state
+ */
+export function setProductState(scope, update) {
+  const previous = states.get(scope);
+  const state = {
+    scope,
+    variant: null,
+    selectedOptionValues: [],
+    ...previous,
+    ...update,
+  };
+
+  states.set(scope, state);
+
+  if (previous && isSameVariant(previous.variant, state.variant)) {
+    return state;
+  }
+
+  if (window.publish) {
+    window.publish(PRODUCT_STATE_EVENT, { data: state });
+  }
+
+  return state;
+}
+
+/**
+ * Subscribe to the state of a product scope
+ * The callback is called right away when the scope already has a state
+ * @param {HTMLElement} scope - Scope element
+ * @param {Function} callback - Called with the ProductState
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToProductState(scope, callback) {
+  const current = states.get(scope);
+  if (current) callback(current);
+
+  if (!window.subscribe) return () => {};
+
+  return window.subscribe(PRODUCT_STATE_EVENT, ({ data }) => {
+    if (data.scope === scope) callback(data);
+  });
+}
+
+/**
+ * Compare two variants by id and price
+ * @param {ProductVariant|null} a - Variant
+ * @param {ProductVariant|null} b - Variant
+ * @returns {Boolean}
+ */
+function isSameVariant(a, b) {
+  if (!a || !b) return a === b;
+
+  return a.id === b.id && a.price === b.price && a.available === b.available;
+}
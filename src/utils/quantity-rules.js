@@ -0,0 +1,62 @@
+import { formatString } from "./strings.js";
+
+/**
+ * Quantity rules of a quantity field
+ * The quantity-rule snippet renders them from the variant's quantity_rule and the product metafields,
+ * product-info updates them when the variant changes.
+ */
+
+/**
+ * @typedef {Object} QuantityRule
+ * @property {Number} min - Minimum quantity
+ * @property {Number|null} max - Maximum quantity
+ * @property {Number} step - Quantities are multiples of it
+ */
+
+/**
+ * Read the quantity rule of a field
+ * The min and max attributes hold what's left for the product form once the cart quantity is counted,
+ * cart lines only carry the data attributes, so they can still go down to 0.
+ * @param {HTMLInputElement} field - Quantity field
+ * @returns {QuantityRule} Quantity rule
+ */
+export function getQuantityRule(field) {
+  const min = parseInt(field.getAttribute("min") ?? field.dataset.min, 10);
+  const max = parseInt(field.getAttribute("max") ?? field.dataset.max, 10);
+  const step = parseInt(field.getAttribute("step"), 10);
+
+  return {
+    min: min > 0 ? min : 1,
+    max: max > 0 ? max : null,
+    step: step > 0 ? step : 1,
+  };
+}
+
+/**
+ * Check a quantity against a rule
+ * @param {Number} quantity - Quantity
+ * @param {QuantityRule} rule - Quantity rule
+ * @param {Boolean} allowZero - Whether 0 is valid, e.g. to remove a cart line
+ * @returns {String} Error message, empty for a valid quantity
+ */
+export function getQuantityRuleError(quantity, rule, allowZero = false) {
+  const strings = window.theme?.strings || {};
+
+  if (allowZero && quantity === 0) return "";
+
+  if (quantity < rule.min) {
+    return formatString(strings.quantity_minimum_of, { quantity: rule.min });
+  }
+
+  if (rule.max !== null && quantity > rule.max) {
+    return formatString(strings.quantity_maximum_of, { quantity: rule.max });
+  }
+
+  if (quantity % rule.step !== 0) {
+    return formatString(strings.quantity_multiples_of, {
+      quantity: rule.step,
+    });
+  }
+
+  return "";
+}
@@ -0,0 +1,175 @@
+/**
+ * Save for later list
+ * Cart lines parked by the customer, with their properties, persisted in localStorage under a key of
+ * the guest or of the logged-in customer. Logged-in customers also get the list synced to the
+ * custom.saved_for_later customer metafield through the app proxy of the cart settings,
+ * window.theme.savedForLater carries its current value and the customer id.
+ */
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {Number} variant_id - Variant id
+ * @property {String} handle - Product handle, used for the stock re-check
+ * @property {String} title - Product title
+ * @property {String} variant_title - Variant title, empty for default variants
+ * @property {String} image - Image url
+ * @property {String} url - Line item url
+ * @property {Number} quantity - Saved quantity
+ * @property {Object} properties - Line item properties
+ */
+
+export const SAVED_FOR_LATER_EVENT = "saved-for-later-change";
+
+const STORAGE_KEY = "theme:saved-for-later";
+
+let hasMergedCustomerItems = false;
+
+/**
+ * Register the list event next to the theme's pub/sub events
+ */
+if (window.theme?.PUB_SUB_EVENTS) {
+  window.theme.PUB_SUB_EVENTS.savedForLaterChange = SAVED_FOR_LATER_EVENT;
+}
+
+/**
+ * Get the key of a saved item, the same variant with other properties is another item
+ * @param {SavedItem} item - Saved item
+ * @returns {String} Item key
+ */
+export function getSavedItemKey(item) {
+  return `${item.variant_id}:${JSON.stringify(item.properties || {})}`;
+}
+
+/**
+ * Get the storage key of the list, each customer has their own next to the guest list
+ * @returns {String} Storage key
+ */
+function getStorageKey() {
+  const { customer } = window.theme?.savedForLater || {};
+  return customer ? `${STORAGE_KEY}:${customer}` : STORAGE_KEY;
+}
+
+/**
+ * Read a stored list
+ * @param {String} key - Storage key
+ * @returns {Array<SavedItem>} Saved items
+ */
+function readItems(key) {
+  try {
+    const items = JSON.parse(window.localStorage.getItem(key) || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch (e) {
+    console.warn("Failed to parse saved items:", e);
+    return [];
+  }
+}
+
+/**
+ * Get the saved items
+ * @returns {Array<SavedItem>} Saved items, the latest first
+ */
+export function getSavedItems() {
+  return readItems(getStorageKey());
+}
+
+/**
+ * Store the saved items, publish them and sync them to the customer
+ * @param {Array<SavedItem>} items - Saved items
+ * @param {Boolean} sync - Whether to send them to the customer metafield
+ */
+function setSavedItems(items, sync = true) {
+  try {
+    window.localStorage.setItem(getStorageKey(), JSON.stringify(items));
+  } catch (e) {
+    console.warn("Failed to store saved items:", e);
+  }
+
+  if (window.publish) {
+    window.publish(SAVED_FOR_LATER_EVENT, { data: { items } });
+  }
+
+  if (sync) syncCustomerItems(items);
+}
+
+/**
+ * Add an item, the quantity of an already saved item is increased
+ * @param {SavedItem} item - Item to save
+ */
+export function addSavedItem(item) {
+  const key = getSavedItemKey(item);
+  const items = getSavedItems();
+  const savedItem = items.find((saved) => getSavedItemKey(saved) === key);
+
+  if (savedItem) {
+    savedItem.quantity += item.quantity;
+    setSavedItems(items);
+    return;
+  }
+
+  setSavedItems([item, ...items]);
+}
+
+/**
+ * Remove an item
+ * @param {String} key - Item key
+ */
+export function removeSavedItem(key) {
+  setSavedItems(
+    getSavedItems().filter((item) => getSavedItemKey(item) !== key)
+  );
+}
+
+/**
+ * Load the list of the logged-in customer, once per page
+ * With the app proxy the metafield is the source of truth, so removals on another device stick.
+ * Items saved as a guest on this device are added once, at login, and the guest list is cleared.
+ */
+export function mergeCustomerItems() {
+  const {
+    customer,
+    proxyUrl,
+    items: customerItems,
+  } = window.theme?.savedForLater || {};
+  if (hasMergedCustomerItems || !customer) return;
+
+  hasMergedCustomerItems = true;
+
+  // Without the app proxy the metafield is never written, the local list of the customer is all there is
+  let items = getSavedItems();
+  if (proxyUrl) {
+    items = Array.isArray(customerItems) ? customerItems : [];
+  }
+
+  const keys = items.map(getSavedItemKey);
+  const guestItems = readItems(STORAGE_KEY).filter(
+    (item) => !keys.includes(getSavedItemKey(item))
+  );
+
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn("Failed to clear the guest saved items:", e);
+  }
+
+  setSavedItems([...items, ...guestItems], guestItems.length > 0);
+}
+
+/**
+ * Send the list to the app proxy, which stores it in the customer metafield
+ * @param {Array<SavedItem>} items - Saved items
+ */
+function syncCustomerItems(items) {
+  const { customer, proxyUrl } = window.theme?.savedForLater || {};
+  if (!customer || !proxyUrl) return;
+
+  fetch(proxyUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({ items }),
+    // The save may be followed right away by leaving the page
+    keepalive: true,
+  }).catch((error) => console.log(error));
+}
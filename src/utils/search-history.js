@@ -0,0 +1,113 @@
+/**
+ * Search history of the visitor
+ * Submitted queries and clicked predictive search results, the latest first, persisted in localStorage.
+ */
+
+/**
+ * @typedef {Object} SearchHistoryEntry
+ * @property {String} [term] - Submitted query
+ * @property {String} [title] - Title of the clicked result
+ * @property {String} [url] - Path of the clicked result
+ */
+
+const STORAGE_KEY = "theme:search-history";
+const HISTORY_LIMIT = 10;
+
+/**
+ * Get the key of an entry, the same query or result is kept once
+ * @param {SearchHistoryEntry} entry - History entry
+ * @returns {String} Entry key
+ */
+function getEntryKey(entry) {
+  return entry.url ? `url:${entry.url}` : `term:${entry.term.toLowerCase()}`;
+}
+
+/**
+ * Check a stored entry, the storage can hold older formats or another script's data
+ * @param {*} entry - Parsed entry
+ * @returns {Boolean} Whether the entry is a query or a result
+ */
+function isValidEntry(entry) {
+  if (!entry || typeof entry !== "object") return false;
+  if (entry.url) {
+    return typeof entry.url === "string" && typeof entry.title === "string";
+  }
+
+  return typeof entry.term === "string" && entry.term.trim() !== "";
+}
+
+/**
+ * Get the search history
+ * @returns {Array<SearchHistoryEntry>} Entries, the latest first, malformed ones left out
+ */
+export function getSearchHistory() {
+  try {
+    const entries = JSON.parse(
+      window.localStorage.getItem(STORAGE_KEY) || "[]"
+    );
+    return Array.isArray(entries) ? entries.filter(isValidEntry) : [];
+  } catch (e) {
+    console.warn("Failed to parse search history:", e);
+    return [];
+  }
+}
+
+/**
+ * Store the search history
+ * @param {Array<SearchHistoryEntry>} entries - Entries, the latest first
+ */
+function setSearchHistory(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (e) {
+    console.warn("Failed to store search history:", e);
+  }
+}
+
+/**
+ * Put an entry on top of the history
+ * @param {SearchHistoryEntry} entry - History entry
+ */
+function addSearchHistoryEntry(entry) {
+  const key = getEntryKey(entry);
+  const entries = getSearchHistory().filter(
+    (existing) => getEntryKey(existing) !== key
+  );
+
+  setSearchHistory([entry, ...entries].slice(0, HISTORY_LIMIT));
+}
+
+/**
+ * Add a submitted query
+ * @param {String} term - Query
+ */
+export function addSearchQuery(term) {
+  const query = String(term || "").trim();
+  if (query) addSearchHistoryEntry({ term: query });
+}
+
+/**
+ * Add a clicked result, without the search tracking parameters of its url
+ * @param {String} title - Result title
+ * @param {String} href - Result url
+ */
+export function addSearchResult(title, href) {
+  const name = String(title || "").trim();
+  if (!name || !href) return;
+
+  addSearchHistoryEntry({
+    title: name,
+    url: new URL(href, window.location.origin).pathname,
+  });
+}
+
+/**
+ * Clear the search history
+ */
+export function clearSearchHistory() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn("Failed to clear search history:", e);
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Predictive search query normalizer
+ * Folds diacritics, so "wloczka" meets "włóczka", and expands a query through the merchant's
+ * synonyms, or corrects it to the closest known word, e.g. a misspelled brand. The dictionary
+ * is rendered by the search-dictionary snippet from the `search_synonym` metaobjects, the shop
+ * vendors and the product types.
+ */
+
+/**
+ * @typedef {Object} SearchSynonym
+ * @property {String} term - Term the synonyms are searched as
+ * @property {Array<String>} synonyms - Other spellings of the term
+ */
+
+// Letters NFD doesn't decompose
+const FOLDED_LETTERS = {
+  ł: "l",
+  đ: "d",
+  ø: "o",
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+};
+
+// Words shorter than this aren't corrected
+const MIN_CORRECTION_LENGTH = 4;
+
+let dictionary = null;
+
+/**
+ * Fold a text for matching, lowercased and without diacritics
+ * @param {String} text - Text
+ * @returns {String} Folded text
+ */
+export function foldDiacritics(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[łđøßæœ]/g, (letter) => FOLDED_LETTERS[letter])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Get the search dictionary, with the folded spellings mapped to the terms
+ * @returns {{terms: Map<String, String>, words: Map<String, String>}} Terms by folded synonym, words by folded word
+ */
+function getSearchDictionary() {
+  if (dictionary) return dictionary;
+
+  dictionary = { terms: new Map(), words: new Map() };
+
+  const script = document.querySelector("[data-search-dictionary]");
+  if (!script) return dictionary;
+
+  let data;
+  try {
+    data = JSON.parse(script.textContent);
+  } catch (e) {
+    console.warn("Failed to parse search dictionary:", e);
+    return dictionary;
+  }
+
+  (data.synonyms || []).forEach(({ term, synonyms }) => {
+    if (!term) return;
+
+    [term, ...(synonyms || [])].forEach((synonym) => {
+      dictionary.terms.set(foldDiacritics(synonym), term);
+    });
+  });
+
+  [...(data.vocabulary || []), ...dictionary.terms.values()].forEach(
+    (entry) => {
+      String(entry)
+        .split(/\s+/)
+        .filter((word) => word.length >= MIN_CORRECTION_LENGTH)
+        .forEach((word) => {
+          const folded = foldDiacritics(word);
+          if (!dictionary.words.has(folded)) {
+            dictionary.words.set(folded, word.toLowerCase());
+          }
+        });
+    }
+  );
+
+  return dictionary;
+}
+
+/**
+ * Count the edits between two words, a swap of neighbouring letters is one edit
+ * @param {String} a - Word
+ * @param {String} b - Word
+ * @returns {Number} Edit distance
+ */
+function getEditDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (__, j) => (i === 0 ? j : i))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(
+          distances[i][j],
+          distances[i - 2][j - 2] + 1
+        );
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+/**
+ * Find the known word closest to a word, one edit apart for short words and two for longer ones
+ * @param {String} word - Folded word
+ * @param {Map<String, String>} words - Known words by folded word
+ * @returns {String|null} Known word
+ */
+function getClosestWord(word, words) {
+  if (words.has(word)) return words.get(word);
+  if (word.length < MIN_CORRECTION_LENGTH) return null;
+
+  const maxDistance = word.length > 6 ? 2 : 1;
+  let closest = null;
+  let closestDistance = maxDistance + 1;
+
+  words.forEach((knownWord, folded) => {
+    if (Math.abs(folded.length - word.length) > maxDistance) return;
+
+    const distance = getEditDistance(word, folded);
+    if (distance < closestDistance) {
+      closest = knownWord;
+      closestDistance = distance;
+    }
+  });
+
+  return closest;
+}
+
+/**
+ * Expand a query through the synonyms, or correct its words to the closest known ones
+ * @param {String} query - Query as typed
+ * @returns {String|null} Expanded query, null when nothing changes
+ */
+export function expandSearchQuery(query) {
+  const { terms, words } = getSearchDictionary();
+  const folded = foldDiacritics(query);
+  if (!folded) return null;
+
+  let expanded = terms.get(folded);
+
+  if (!expanded) {
+    expanded = folded
+      .split(" ")
+      .map((word) => terms.get(word) || getClosestWord(word, words) || word)
+      .join(" ");
+  }
+
+  return expanded.toLowerCase() === query.trim().toLowerCase()
+    ? null
+    : expanded;
+}
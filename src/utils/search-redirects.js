@@ -0,0 +1,104 @@
+import { foldDiacritics } from "./search-query.js";
+
+/**
+ * Search redirects
+ * Queries matching a rule of the `search_redirect` metaobjects, rendered by the search-redirects
+ * snippet, go straight to the rule's url instead of the search results. Exact and prefix rules
+ * match the query without diacritics, regex rules the query as typed, case insensitive.
+ */
+
+/**
+ * @typedef {Object} SearchRedirect
+ * @property {String} query - Query, prefix or regular expression
+ * @property {String} match - "exact", "prefix" or "regex"
+ * @property {String} url - Url the query goes to
+ */
+
+export const SEARCH_REDIRECT_EVENT = "theme:search:redirect";
+
+let redirects = null;
+
+/**
+ * Get the redirect rules, regular expressions compiled
+ * @returns {Array<Object>} Rules with a test function and the url, in the merchant's order
+ */
+function getSearchRedirects() {
+  if (redirects) return redirects;
+
+  redirects = [];
+
+  const script = document.querySelector("[data-search-redirects]");
+  if (!script) return redirects;
+
+  let rules;
+  try {
+    rules = JSON.parse(script.textContent);
+  } catch (e) {
+    console.warn("Failed to parse search redirects:", e);
+    return redirects;
+  }
+
+  (Array.isArray(rules) ? rules : []).forEach(({ query, match, url }) => {
+    if (!query || !url) return;
+
+    if (match === "regex") {
+      try {
+        const pattern = new RegExp(query, "i");
+        redirects.push({ test: (value) => pattern.test(value), url });
+      } catch (e) {
+        console.warn("Failed to parse search redirect pattern:", e);
+      }
+      return;
+    }
+
+    const folded = foldDiacritics(query);
+    redirects.push({
+      test:
+        match === "prefix"
+          ? (value) => foldDiacritics(value).startsWith(folded)
+          : (value) => foldDiacritics(value) === folded,
+      url,
+    });
+  });
+
+  return redirects;
+}
+
+/**
+ * Find the url a query redirects to
+ * @param {String} query - Query
+ * @returns {String|null} Url of the first matching rule
+ */
+export function getSearchRedirect(query) {
+  const value = String(query || "").trim();
+  if (!value) return null;
+
+  return getSearchRedirects().find((rule) => rule.test(value))?.url || null;
+}
+
+/**
+ * Send a query to its redirect, when it has one
+ * The redirect is published to the customer events as search_redirect and dispatched
+ * on the document, so analytics can tell it from a search.
+ * @param {String} query - Query
+ * @param {String} source - Where the query came from, e.g. "submit", "suggestion" or "landing"
+ * @param {Boolean} replace - Whether to replace the current history entry
+ * @returns {Boolean} Whether the query is redirected
+ */
+export function redirectSearch(query, source, replace = false) {
+  const url = getSearchRedirect(query);
+  if (!url) return false;
+
+  const detail = { query: String(query).trim(), url, source };
+
+  document.dispatchEvent(new CustomEvent(SEARCH_REDIRECT_EVENT, { detail }));
+  window.Shopify?.analytics?.publish?.("search_redirect", detail);
+
+  if (replace) {
+    window.location.replace(url);
+  } else {
+    window.location.assign(url);
+  }
+
+  return true;
+}
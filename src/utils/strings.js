@@ -0,0 +1,16 @@
+/**
+ * Replace Liquid-style placeholders in a translated string
+ * e.g. formatString("{{ title }} is unavailable", { title: "Yarn" })
+ * @param {String} template - String with {{ name }} placeholders
+ * @param {Object} values - Placeholder values
+ * @returns {String} Formatted string
+ */
+export function formatString(template, values = {}) {
+  if (!template) return "";
+
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    values[name] !== undefined && values[name] !== null
+      ? String(values[name])
+      : match
+  );
+}
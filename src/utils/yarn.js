@@ -0,0 +1,41 @@
+/**
+ * Calculate the number of skeins needed for a pattern size
+ * Meterage is adjusted by the gauge ratio when the yarn knits up differently than the pattern,
+ * then the safety margin is added and the result is rounded up to whole skeins.
+ * @param {Object} options - Calculation input
+ * @param {Number} options.meters - Meters required by the pattern size
+ * @param {Number} options.metersPerSkein - Meters in one skein of the chosen yarn
+ * @param {Number} options.margin - Safety margin in percent
+ * @param {Number} options.patternGauge - Pattern gauge, stitches per 10 cm (optional)
+ * @param {Number} options.yarnGauge - Yarn gauge, stitches per 10 cm (optional)
+ * @returns {Object|null} Calculation breakdown or null if the input is incomplete
+ */
+export function calculateSkeins({
+  meters,
+  metersPerSkein,
+  margin = 0,
+  patternGauge = 0,
+  yarnGauge = 0,
+}) {
+  const requiredMeters = parseFloat(meters) || 0;
+  const skeinMeters = parseFloat(metersPerSkein) || 0;
+
+  if (requiredMeters <= 0 || skeinMeters <= 0) return null;
+
+  // Thinner yarn (more stitches per 10 cm) needs proportionally more meters
+  const gaugeRatio =
+    patternGauge > 0 && yarnGauge > 0 ? yarnGauge / patternGauge : 1;
+  const adjustedMeters = requiredMeters * gaugeRatio;
+  const marginPercent = Math.max(parseFloat(margin) || 0, 0);
+  const totalMeters = Math.ceil(adjustedMeters * (1 + marginPercent / 100));
+
+  return {
+    meters: requiredMeters,
+    gaugeRatio,
+    adjustedMeters: Math.ceil(adjustedMeters),
+    margin: marginPercent,
+    totalMeters,
+    metersPerSkein: skeinMeters,
+    skeins: Math.max(Math.ceil(totalMeters / skeinMeters), 1),
+  };
+}